@@ -6,22 +6,38 @@
  * Key-activated tools like g(grab) s(scale) r(rotate)
  */
 
+/**
+ * Keys used with Ctrl - the browser should not see these
+ */
+const ctrlKeys = ["z", "Z", "g", "G"];
+
 /**
  * @param {KeyboardEvent} e
  * @param {HTMLElement} canCanvas
  * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasRenderingContext2D} gtx
  * @param {HTMLElement} divShapelist
  */
-function keyAction(e, canCanvas, ctx, divShapelist) {
+function keyAction(e, canCanvas, ctx, gtx, divShapelist) {
   const key = e.key;
+  // typing in a form is not a command
+  const t = /** @type {HTMLElement} */ (e.target);
+  if (["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName)) return;
+  // Ctrl+G is find in browser - used here for group
+  if (e.ctrlKey && ctrlKeys.includes(key)) e.preventDefault();
+  // an angle typed while rotating
+  if (AT.tool === "rotate" && Rotate.key(key, { canCanvas, gtx, divShapelist })) {
+    e.preventDefault();
+    return;
+  }
   // simple and extended are assumed to not overlap
   // a g x r s Escape
   // SelectedList can be empty
-  SimpleKeyAction[key]?.({ canCanvas, ctx, divShapelist });
-  // u d D
+  SimpleKeyAction[key]?.({ canCanvas, ctx, gtx, divShapelist });
+  // u d D U [ ] { } L R T B C M H V
   // must have a selection for Extended key action
   if (AT.type === "pointer" && SelectedShapes.list.length > 0) {
-    ExtendedKeyAction[key]?.({ canCanvas, ctx, divShapelist });
+    ExtendedKeyAction[key]?.({ canCanvas, ctx, gtx, divShapelist });
   }
   ColorSwatch.state = key; // so c can see
 }
@@ -73,7 +89,7 @@ class SimpleKeyAction {
     if (SelectedShapes.list.length === 0) {
       // select shape under pointer
       const p = AT.mouse;
-      const inside = drawings.filter((e) => e.contains(p));
+      const inside = drawings.filter((e) => Layers.pickable(e) && e.contains(p));
       if (inside.length > 0) {
         const maybeTarget = inside[inside.length - 1];
         if (maybeTarget.isa("Picture")) {
@@ -104,8 +120,14 @@ class SimpleKeyAction {
                   const { width: tw, height: th } = target;
                   const { width, height } = output;
                   URL.revokeObjectURL(output.src); // free memory
-                  const ctx = target.offscreenCanvas.getContext("2d");
+                  UndoStack.record("load image");
+                  // draw on a new canvas - the undo step keeps the old one
+                  const canvas = document.createElement("canvas");
+                  canvas.width = target.offscreenCanvas.width;
+                  canvas.height = target.offscreenCanvas.height;
+                  const ctx = canvas.getContext("2d");
                   ctx.drawImage(output, 0, 0, width, height, 0, 0, tw, th);
+                  target.offscreenCanvas = canvas;
                   renderCanvas();
                 };
               });
@@ -121,20 +143,68 @@ class SimpleKeyAction {
    * Cancels current action
    * @param {Object} init
    * @param {HTMLElement} init.canCanvas
+   * @param {CanvasRenderingContext2D} init.gtx ghost
    */
-  static Escape({ canCanvas }) {
+  static Escape({ canCanvas, gtx }) {
+    if (NodeEdit.shape) {
+      NodeEdit.exit(gtx);
+      return;
+    }
     AT.abort = true;
+    Rotate.typed = "";
     canCanvas.classList.remove("move");
     cleanGhost();
   }
-  static r({ canCanvas }) {
+  /**
+   * Start or end node editing of the selected polygon
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.gtx
+   */
+  static Enter({ gtx }) {
+    if (NodeEdit.shape) {
+      NodeEdit.exit(gtx);
+    } else if (SelectedShapes.list.length === 1) {
+      NodeEdit.enter(SelectedShapes.list[0], gtx);
+    }
+  }
+  /**
+   * Select next shape underneath pointer,
+   * repeat to cycle thru overlapping shapes
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.gtx
+   * @param {HTMLElement} init.divShapelist
+   */
+  static n({ gtx, divShapelist }) {
+    if (!AT.mouse) return;
+    const shape = shapeAt(AT.mouse, true);
+    SelectedShapes.list = shape ? [shape] : [];
+    SelectedShapes.show(divShapelist);
+    cleanGhost();
+    SelectedShapes.ghost(gtx);
+  }
+  static r({ canCanvas, gtx }) {
     startKeyAction(canCanvas, "rotate");
+    cleanGhost();
+    SelectedShapes.ghost(gtx); // shows the pivot
   }
   static s({ canCanvas }) {
     startKeyAction(canCanvas, "scale");
   }
-  static g({ canCanvas }) {
-    startKeyAction(canCanvas, "move");
+  static g(obj) {
+    if (Keys.has("Control")) {
+      Tools.group(obj);
+      return;
+    }
+    startKeyAction(obj.canCanvas, "move");
+  }
+  /**
+   * Ctrl+Shift+G ungroup
+   * @param {Object} obj
+   */
+  static G(obj) {
+    if (Keys.has("Control")) {
+      Tools.ungroup(obj);
+    }
   }
   static y({ ctx, divShapelist }) {
     if (AT.tool === "scale") {
@@ -146,7 +216,33 @@ class SimpleKeyAction {
       AT.modify = "x";
     }
   }
-  static Delete({ ctx, divShapelist }) {
+  /**
+   * Ctrl+Z undo
+   * @param {Object} obj
+   */
+  static z(obj) {
+    if (Keys.has("Control")) {
+      Tools.undo(obj);
+    }
+  }
+  /**
+   * Ctrl+Shift+Z redo
+   * @param {Object} obj
+   */
+  static Z(obj) {
+    if (Keys.has("Control")) {
+      Tools.redo(obj);
+    }
+  }
+  static Delete({ ctx, gtx, divShapelist }) {
+    if (NodeEdit.shape) {
+      // delete a vertex, not the shape
+      NodeEdit.deleteVertex(gtx);
+      return;
+    }
+    if (SelectedShapes.list.length > 0) {
+      UndoStack.record("delete");
+    }
     drawings = drawings.filter((e) => !SelectedShapes.list.includes(e));
     renderAll(ctx);
     SelectedShapes.list = [];
@@ -208,10 +304,9 @@ function startKeyAction(canCanvas, action) {
   AT.jarvisHull = null;
   if (SelectedShapes.list.length === 0) {
     // select shape under pointer
-    const p = AT.mouse;
-    const inside = drawings.filter((e) => e.contains(p));
-    if (inside.length > 0) {
-      SelectedShapes.list = inside.slice(-1);
+    const shape = shapeAt(AT.mouse);
+    if (shape) {
+      SelectedShapes.list = [shape];
       AT.revert = { oldTool, oldType };
       moveState(canCanvas, action);
     }
@@ -220,37 +315,66 @@ function startKeyAction(canCanvas, action) {
   }
 }
 
+/**
+ * Static class for keyboard actions on the selected shapes
+ * u ] raise, d [ lower, U } bring to front, { send to back
+ * L R T B C M align left, right, top, bottom, center, middle
+ * H V distribute horizontally, vertically
+ * @namespace ExtendedKeyAction
+ */
 class ExtendedKeyAction {
-  static u({ ctx }) {
-    const shape = SelectedShapes.list[0];
-    const index = drawings.indexOf(shape);
-    if (index < drawings.length - 1) {
-      // not last ie TOP element
-      // swap with next higher element
-      const temp = drawings[index + 1];
-      drawings[index + 1] = shape;
-      drawings[index] = temp;
-      renderAll(ctx);
-    }
+  static L({ ctx, gtx }) {
+    Align.run("left", ctx, gtx);
   }
-  static d({ ctx }) {
-    const shape = SelectedShapes.list[0];
-    const index = drawings.indexOf(shape);
-    if (index > 0) {
-      // not first ie BOTTOM element
-      // swap with next lower element
-      const temp = drawings[index - 1];
-      drawings[index - 1] = shape;
-      drawings[index] = temp;
-      renderAll(ctx);
-    }
+  static R({ ctx, gtx }) {
+    Align.run("right", ctx, gtx);
+  }
+  static T({ ctx, gtx }) {
+    Align.run("top", ctx, gtx);
+  }
+  static B({ ctx, gtx }) {
+    Align.run("bottom", ctx, gtx);
+  }
+  static C({ ctx, gtx }) {
+    Align.run("center", ctx, gtx);
+  }
+  static M({ ctx, gtx }) {
+    Align.run("middle", ctx, gtx);
+  }
+  static H({ ctx, gtx }) {
+    Align.run("x", ctx, gtx);
+  }
+  static V({ ctx, gtx }) {
+    Align.run("y", ctx, gtx);
+  }
+  static u(obj) {
+    Tools.raise(obj);
+  }
+  static "]"(obj) {
+    Tools.raise(obj);
+  }
+  static d(obj) {
+    Tools.lower(obj);
+  }
+  static "["(obj) {
+    Tools.lower(obj);
+  }
+  static U(obj) {
+    Tools.front(obj);
+  }
+  static "}"(obj) {
+    Tools.front(obj);
+  }
+  static "{"(obj) {
+    Tools.back(obj);
   }
   static D(obj) {
+    UndoStack.record("duplicate");
     const start = drawings.length; // needed later
-    // place the clones in drawings
+    // place the clones in drawings - a deep copy with new ids,
+    // children of a group must not be shared with the original
     for (const s of SelectedShapes.list) {
-      const clone = Object.assign(Object.create(Object.getPrototypeOf(s)), s);
-      drawings.push(clone);
+      drawings.push(shapeFromJSON(JSON.parse(JSON.stringify(s))));
     }
     // make the clones the new selected list
     // const count = SelectedShapes.list.length;
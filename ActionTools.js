@@ -21,8 +21,17 @@
  * @property {String}  modify  - "x|y|''"
  * @property {Boolean}  abort  - true if Escape pressed
  * @property {Point|null}  mouse  - Set by mousemove on canvas
+ * @property {Boolean}  down  - true while mouse button is down on canvas
  * @property {Object|null} revert  - go back to this tool after single action
  * @property {Shape|null} jarvisHull  - a wrapping around a group of shapes
+ * @property {String}  startMarker  - marker at start of lines none|arrow|dot|bar
+ * @property {String}  endMarker  - marker at end of lines
+ * @property {number}  smoothing  - passes of corner cutting for freehand
+ * @property {number}  tolerance  - freehand points closer than this to the line are dropped
+ * @property {String}  font  - font family for new text
+ * @property {number}  fontSize  - font size in pixels for new text
+ * @property {String}  fontWeight  - normal|bold
+ * @property {String}  textAlign  - left|center|right
  */
 class AT {
   static tool = "select";
@@ -31,15 +40,32 @@ class AT {
   static end = null;
   static thick = 1;
   static color = "blue";
+  /** @type {string|Paint} */
   static fill = "transparent";
   static type = "pointer";
   static modify = "";
   static abort = false;
   static mouse = null;
+  static down = false;
   static revert = null;
   static jarvisHull = null;
+  static startMarker = "none";
+  static endMarker = "arrow";
+  static smoothing = 2;
+  static tolerance = 2;
+  static font = "sans-serif";
+  static fontSize = 24;
+  static fontWeight = "normal";
+  static textAlign = "left";
+  /** @type {Stroke} */
+  static stroke = { ...Shape.stroke }; // line style for new shapes
 }
 
+/**
+ * Tools that build a shape click by click - Shift+click ends the shape
+ */
+const multiClickTools = ["polygon", "polyline", "curve"];
+
 /**
  * Static class to store current state of active tool
  * This works much like AT = { tool:"pointer", ...}.
@@ -64,7 +90,7 @@ class ColorSwatch {
     )?.title;
     if (color) {
       AT.fill = color;
-      document.documentElement.style.setProperty("--fill", AT.fill);
+      document.documentElement.style.setProperty("--fill", color);
     }
   }
 }
@@ -102,9 +128,16 @@ class SelectedShapes {
     if (SelectedShapes.list.length > 40) {
       elm.innerHTML = `Selected ${SelectedShapes.list.length} shapes`;
     } else {
-      const s = SelectedShapes.list.map((e) => e.info).join("");
+      // topmost first, with position in the stack
+      const s = SelectedShapes.list
+        .map((e) => ({ e, z: drawings.indexOf(e) + 1 }))
+        .sort((a, b) => b.z - a.z)
+        .map(({ e, z }) => `<div class="stack">${z}</div>${e.info}`)
+        .join("");
       elm.innerHTML = s;
     }
+    Inspector.show();
+    Fill.pick();
   }
   /**
    * Hilite selected elements
@@ -113,22 +146,27 @@ class SelectedShapes {
    */
   static ghost(ctx) {
     for (const s of SelectedShapes.list) {
-      const { c, f } = s;
-      s.c = contrast(s.c.substr(1));
-      s.f = contrast(s.f.substr(1));
+      const { c, f, effects } = s;
+      s.c = contrast(s.c);
+      s.f = contrast(Fill.color(s.f));
+      s.effects = []; // outline only, no shadows
       s.render(ctx);
       s.c = c;
       s.f = f;
+      s.effects = effects;
+      s.showHandles(ctx);
     }
+    NodeEdit.show(ctx);
+    if (AT.tool === "rotate") Rotate.show(ctx, false);
   }
   /**
    *
    * @param {string} what property to update
-   * @param {string} color valid css color
+   * @param {*} value css color, paint fill or a line style
    */
-  static update(what, color) {
+  static update(what, value) {
     for (const s of SelectedShapes.list) {
-      s[what] = color;
+      s.setProperty(what, value);
     }
   }
   /**
@@ -170,22 +208,23 @@ function shapeAction(diff, action, gtx) {
       AT.jarvisHull = makeJarvisHullShape();
     }
     const shape = AT.jarvisHull;
-    const { x, y, c, f, points, r } = shape;
-    shape.points = points.map(({ x, y }) => ({ x, y }));
+    const state = shape.snapshot();
     shape[action](diff, AT.modify);
+    if (action === "rotate") Rotate.orbit(shape, diff);
     shape.render(gtx);
-    Object.assign(shape, { x, y, c, f, points, r });
+    shape.restore(state);
   } else {
+    const pivot = Rotate.center();
     for (const s of SelectedShapes.list) {
-      // Take snapshot of some properties
-      const { x, y, c, f, points, r, width, height, sx, sy } = s;
-      s.points = points.map(({ x, y }) => ({ x, y }));
-      s.c = contrast(s.c.substr(1));
-      s.f = contrast(s.f.substr(1));
+      // Take snapshot of the shape
+      const state = s.snapshot();
+      s.c = contrast(s.c);
+      s.f = contrast(Fill.color(s.f));
       s[action](diff, AT.modify);
+      if (action === "rotate") Rotate.orbit(s, diff, pivot);
       s.render(gtx);
       // restore snapshot
-      Object.assign(s, { x, y, c, f, points, r, width, height, sx, sy});
+      s.restore(state);
     }
   }
 }
@@ -247,10 +286,126 @@ class Tools {
     saveToFile();
   }
 
+  static open({ ctx, divShapelist }) {
+    openFromFile();
+  }
+
+  static export({ ctx, divShapelist }) {
+    exportToFile();
+  }
+
+  /**
+   * Undo last change to drawings - also restores the selection
+   * @param {Object} p parameter object
+   * @param {CanvasRenderingContext2D} p.ctx canvas
+   * @param {CanvasRenderingContext2D} p.gtx ghost canvas
+   * @param {HTMLElement} p.divShapelist div to show selected shapes on
+   */
+  static undo({ ctx, gtx, divShapelist }) {
+    if (UndoStack.undo()) {
+      renderAll(ctx);
+      SelectedShapes.show(divShapelist);
+      SelectedShapes.ghost(gtx);
+    }
+  }
+
+  /**
+   * Redo last undone change
+   * @param {Object} p parameter object
+   * @param {CanvasRenderingContext2D} p.ctx canvas
+   * @param {CanvasRenderingContext2D} p.gtx ghost canvas
+   * @param {HTMLElement} p.divShapelist div to show selected shapes on
+   */
+  static redo({ ctx, gtx, divShapelist }) {
+    if (UndoStack.redo()) {
+      renderAll(ctx);
+      SelectedShapes.show(divShapelist);
+      SelectedShapes.ghost(gtx);
+    }
+  }
+
+  /**
+   * Make selected shapes into one group (Ctrl+G).
+   * The group takes the place of the topmost selected shape
+   * @param {Object} p parameter object
+   * @param {CanvasRenderingContext2D} p.ctx canvas
+   * @param {CanvasRenderingContext2D} p.gtx ghost canvas
+   * @param {HTMLElement} p.divShapelist div to show selected shapes on
+   */
+  static group({ ctx, gtx, divShapelist }) {
+    const children = drawings.filter((s) => SelectedShapes.list.includes(s));
+    if (children.length < 2) return;
+    UndoStack.record("group");
+    const group = new Group({ children });
+    group.layer = children[children.length - 1].layer;
+    const index = drawings.indexOf(children[children.length - 1]);
+    drawings.splice(index, 1, group);
+    drawings = drawings.filter((s) => !children.includes(s));
+    SelectedShapes.list = [group];
+    renderAll(ctx);
+    SelectedShapes.show(divShapelist);
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Split selected groups into their children (Ctrl+Shift+G).
+   * Only one level - nested groups stay groups
+   * @param {Object} p parameter object
+   * @param {CanvasRenderingContext2D} p.ctx canvas
+   * @param {CanvasRenderingContext2D} p.gtx ghost canvas
+   * @param {HTMLElement} p.divShapelist div to show selected shapes on
+   */
+  static ungroup({ ctx, gtx, divShapelist }) {
+    const groups = SelectedShapes.list.filter((s) => s.isa("Group"));
+    if (groups.length === 0) return;
+    UndoStack.record("ungroup");
+    drawings = drawings.flatMap((s) =>
+      groups.includes(s) ? /** @type {Group} */ (s).children : [s]
+    );
+    SelectedShapes.list = SelectedShapes.list.flatMap((s) =>
+      groups.includes(s) ? /** @type {Group} */ (s).children : [s]
+    );
+    renderAll(ctx);
+    SelectedShapes.show(divShapelist);
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Selected shapes on top of the other shapes in their layer
+   * @param {Object} p parameter object
+   * @param {CanvasRenderingContext2D} p.ctx canvas
+   * @param {HTMLElement} p.divShapelist div to show selected shapes on
+   */
+  static front({ ctx, divShapelist }) {
+    restack("front", ctx, divShapelist);
+  }
+
+  /**
+   * Selected shapes below the other shapes in their layer
+   */
+  static back({ ctx, divShapelist }) {
+    restack("back", ctx, divShapelist);
+  }
+
+  /**
+   * Selected shapes one step up
+   */
+  static raise({ ctx, divShapelist }) {
+    restack("raise", ctx, divShapelist);
+  }
+
+  /**
+   * Selected shapes one step down
+   */
+  static lower({ ctx, divShapelist }) {
+    restack("lower", ctx, divShapelist);
+  }
+
   static erase({ ctx, divShapelist }) {
     cleanGhost();
     cleanCanvas();
     if (drawings.length > 0) {
+      UndoStack.record("erase");
       drawings.pop();
       renderAll(ctx);
       SelectedShapes.list = SelectedShapes.list.filter((e) =>
@@ -282,6 +437,47 @@ class Tools {
   }
 }
 
+/**
+ * Change stacking order of selected shapes.
+ * Shapes stay in their layer and keep their order among themselves.
+ * @param {string} action front|back|raise|lower
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLElement} divShapelist
+ */
+function restack(action, ctx, divShapelist) {
+  const selected = new Set(SelectedShapes.list);
+  if (selected.size === 0) return;
+  Layers.sort();
+  const order = drawings.slice();
+  const layerIndex = new Map(Layers.list.map((l, i) => [l.id, i]));
+  const layerOf = (s) => layerIndex.get(s.layer) ?? 0;
+  if (action === "front" || action === "back") {
+    // stable sort on (layer, selected) - selected last for front
+    const top = action === "front" ? 1 : -1;
+    const rank = (s) => (selected.has(s) ? top : 0);
+    order.sort((a, b) => layerOf(a) - layerOf(b) || rank(a) - rank(b));
+  } else {
+    // swap with neighbour that is not selected, start with the one
+    // moving furthest so a run of selected shapes moves together
+    const step = action === "raise" ? 1 : -1;
+    const n = order.length;
+    for (let k = 0; k < n; k++) {
+      const i = step > 0 ? n - 1 - k : k;
+      const s = order[i];
+      const other = order[i + step];
+      if (selected.has(s) && other && !selected.has(other) && layerOf(other) === layerOf(s)) {
+        order[i] = other;
+        order[i + step] = s;
+      }
+    }
+  }
+  if (order.every((s, i) => s === drawings[i])) return;
+  UndoStack.record(action);
+  drawings = order;
+  renderAll(ctx);
+  SelectedShapes.show(divShapelist);
+}
+
 /**
  * Draws all shapes from drawings onto canvas, cleans ghost
  * @param {CanvasRenderingContext2D} ctx
@@ -289,9 +485,27 @@ class Tools {
 function renderAll(ctx) {
   cleanCanvas();
   cleanGhost();
-  for (const shape of drawings) {
-    shape.render(ctx);
-  }
+  Layers.render(ctx);
+  Inspector.show(); // values may have changed
+}
+
+/**
+ * Returns the topmost shape at point p.
+ * With cycle - if a shape at p is selected, returns the next one below it
+ * (wraps around to the top). Repeat to step thru overlapping shapes.
+ * @param {Point} p
+ * @param {boolean} cycle
+ * @returns {Shape|undefined}
+ */
+function shapeAt(p, cycle = false) {
+  const inside = drawings.filter((e) => Layers.pickable(e) && e.contains(p));
+  const n = inside.length;
+  if (n === 0) return undefined;
+  const current =
+    cycle && SelectedShapes.list.length === 1
+      ? inside.indexOf(SelectedShapes.list[0])
+      : -1;
+  return current === -1 ? inside[n - 1] : inside[(current - 1 + n) % n];
 }
 
 /**
@@ -304,12 +518,22 @@ function renderAll(ctx) {
  * @param {CanvasRenderingContext2D} gtx
  */
 function endAction(e, divShapelist, canCanvas, ctx, gtx) {
+  AT.down = false;
+  if (NodeEdit.dragging) {
+    NodeEdit.up(gtx);
+    return;
+  }
+  if (Rotate.dragging) {
+    Rotate.drop({ x: e.clientX - B.x, y: e.clientY - B.y }, gtx);
+    return;
+  }
   if (AT.start && !AT.abort) {
     // must have valid start
     {
       const x = e.clientX - B.x;
       const y = e.clientY - B.y;
-      AT.end = { x, y };
+      AT.end = snapPoint({ x, y });
+      Snap.lines = [];
     }
     // ignore event below canvas
     if (AT.end.y < B.height) {
@@ -329,13 +553,17 @@ function endAction(e, divShapelist, canCanvas, ctx, gtx) {
             // only use polygon if area not too small
             if (h * w > 9) {
               const capturePolygon = [x, y, x + w, y, x + w, y + h, x, y + h];
-              inside = drawings.filter((e) =>
-                polygonPolygon(capturePolygon, e.polygon)
+              inside = drawings.filter(
+                (e) => Layers.pickable(e) && e.overlaps(capturePolygon)
               );
+            } else if (Keys.has("Alt")) {
+              // cycle thru shapes under the point
+              const next = shapeAt(AT.start, true);
+              inside = next ? [next] : [];
             } else {
               // pretend it is a point (area is < 10)
               const p = AT.start;
-              inside = drawings.filter((e) => e.contains(p));
+              inside = drawings.filter((e) => Layers.pickable(e) && e.contains(p));
             }
             if (Keys.has("Shift")) {
               // extend selection
@@ -357,18 +585,29 @@ function endAction(e, divShapelist, canCanvas, ctx, gtx) {
           break;
         }
         case "shape": {
-          if (AT.tool === "polygon" && AT.points.length > 0) {
-            const P = new Vector(AT.points[0]);
+          if (AT.tool === "text") {
+            // text is typed into an editor over the canvas
+            TextEdit.open(AT.start);
+            break;
+          }
+          // a curve collects nodes from the very first click
+          const collecting = AT.points.length > 0 || AT.tool === "curve";
+          if (multiClickTools.includes(AT.tool) && collecting) {
+            const P = new Vector(AT.points[0] ?? AT.start);
             const Q = new Vector(AT.end);
             if (Keys.has("Shift") && AT.points.length > 1) {
               const shape = makeShape(ctx, gtx, P, Q,true);
               if (shape) {
+                UndoStack.record("add " + shape.type);
                 drawings.push(shape);
                 AT.points = [];
                 cleanGhost();
                 AT.start = null;
                 AT.abort = false;
               }
+            } else if (AT.tool === "curve") {
+              // anchor where mouse went down, dragged out to a tangent handle
+              AT.points.push({ ...AT.start, handle: AT.end });
             } else {
               // add endpoint to AT.points
               AT.points.push(AT.end);
@@ -376,6 +615,7 @@ function endAction(e, divShapelist, canCanvas, ctx, gtx) {
           } else {
             const shape = makeShape(ctx, gtx, AT.start, AT.end,null);
             if (shape) {
+              UndoStack.record("add " + shape.type);
               drawings.push(shape);
             }
           }
@@ -387,40 +627,69 @@ function endAction(e, divShapelist, canCanvas, ctx, gtx) {
       }
     }
   }
-  canCanvas.removeEventListener("mousemove", (e) => showGhost(e, gtx));
-  if (AT.tool !== "polygon") {
+  if (!multiClickTools.includes(AT.tool)) {
     cleanGhost();
     AT.start = null;
+    AT.points = [];
     AT.abort = false;
-    if (AT.revert) {
-      // this action was started by key (g) while drawing shapes
-      // the action is completed - revert to original tool
-      // Also remove all selections
-      const { oldType, oldTool } = AT.revert;
-      AT.type = oldType;
-      AT.tool = oldTool;
-      AT.revert = null;
-      SelectedShapes.empty();
-      SelectedShapes.show(divShapelist);
-      AT.type === "shape" ? shapesActive() : pointerActive();
-    }
+    endKeyAction(divShapelist);
   }
   SelectedShapes.ghost(gtx);
 }
 
+/**
+ * If this action was started by key (g r s) while drawing shapes
+ * the action is completed - revert to original tool.
+ * Also remove all selections
+ * @param {HTMLElement} divShapelist
+ */
+function endKeyAction(divShapelist) {
+  if (AT.revert) {
+    const { oldType, oldTool } = AT.revert;
+    AT.type = oldType;
+    AT.tool = oldTool;
+    AT.revert = null;
+    SelectedShapes.empty();
+    SelectedShapes.show(divShapelist);
+    AT.type === "shape" ? shapesActive() : pointerActive();
+  }
+}
+
 function completeAction(canCanvas, action) {
-  const p1 = new Vector(AT.start);
-  const p2 = new Vector(AT.end);
-  const diff = p2.sub(p1);
-  if (diff.length > 1) {
-    if (action === "rotate" && SelectedShapes.list.length > 1) {
+  let diff;
+  if (action === "rotate") {
+    // angle from mouse or typed, works even if mouse did not move
+    diff = Rotate.diff(AT.start, AT.end);
+    Rotate.typed = "";
+  } else {
+    const p1 = new Vector(AT.start);
+    const p2 = new Vector(AT.end);
+    diff = p2.sub(p1);
+  }
+  if (action === "move") {
+    diff = Snap.move(diff, SelectedShapes.list);
+    Snap.lines = [];
+  }
+  if (diff.length > (action === "rotate" ? 0 : 1)) {
+    const { pivot } = Rotate;
+    UndoStack.record(action);
+    // a drag keeps the chosen pivot
+    if (action === "rotate" || action === "move") Rotate.pivot = pivot;
+    if (action === "rotate") {
       rotateGroup(diff);
     }
+    if (action === "move") {
+      Rotate.follow(diff);
+    }
     if (action === "scale" && SelectedShapes.list.length > 1) {
       scaleGroup(diff);
     }
     for (const s of SelectedShapes.list) {
-      s[action](diff, AT.modify);
+      if (action === "scale") {
+        s.scaleWithEffects(diff, AT.modify);
+      } else {
+        s[action](diff, AT.modify);
+      }
     }
   }
   renderAll(ctx);
@@ -430,18 +699,39 @@ function completeAction(canCanvas, action) {
   canCanvas.classList.remove("move");
 }
 
+/**
+ * Snap a point when drawing shapes - freehand follows the mouse
+ * @param {Point} p mouse position on canvas
+ * @returns {Point}
+ */
+function snapPoint(p) {
+  if (AT.type !== "shape" || AT.tool === "freehand") return p;
+  return Snap.point(p);
+}
+
 /**
  * Mostly run by mouse move
  * @param {MouseEvent} e
  * @param {CanvasRenderingContext2D} gtx
  */
 function showGhost(e, gtx) {
+  if (NodeEdit.dragging) {
+    NodeEdit.drag({ x: e.clientX - B.x, y: e.clientY - B.y }, gtx);
+    return;
+  }
+  if (Rotate.dragging) {
+    Rotate.drag({ x: e.clientX - B.x, y: e.clientY - B.y }, gtx);
+    return;
+  }
   if (AT.start) {
     // must have valid start
     {
       const x = e.clientX - B.x;
       const y = e.clientY - B.y;
-      AT.end = { x, y };
+      AT.end = snapPoint({ x, y });
+    }
+    if (AT.tool === "freehand") {
+      AT.points.push(AT.end); // record mouse samples
     }
     const P = new Vector(AT.start);
     const Q = new Vector(AT.end);
@@ -449,6 +739,7 @@ function showGhost(e, gtx) {
     if (delta > 2) {
       cleanGhost();
       makeShape(gtx, gtx, AT.start, AT.end,null);
+      Snap.show(gtx);
     }
   }
 }
@@ -468,6 +759,54 @@ function getLineSize(e) {
 }
 
 
+/**
+ * Sets markers for new lines - and for selected lines
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function chooseMarkers(ctx) {
+  AT.startMarker = g("start-marker").value;
+  AT.endMarker = g("end-marker").value;
+  const lines = SelectedShapes.list.filter((s) => s.isa("Polyline"));
+  if (lines.length > 0) {
+    UndoStack.record("markers");
+    for (const s of lines) {
+      Object.assign(s, { startMarker: AT.startMarker, endMarker: AT.endMarker });
+    }
+    renderAll(ctx);
+  }
+}
+
+/**
+ * Sets line style for new shapes - and for selected shapes.
+ * Only the changed property is set, so mixed styles are kept
+ * @param {Event} e change in #linestyle
+ */
+function chooseStroke(e) {
+  const t = /** @type {HTMLInputElement} */ (e.target);
+  let what = t.dataset.stroke;
+  let value;
+  if (what === "dash" || what === "custom") {
+    const preset = /** @type {HTMLSelectElement} */ (g("dash")).value;
+    const custom = /** @type {HTMLInputElement} */ (g("dash-custom"));
+    custom.classList.toggle("hidden", preset !== "custom");
+    what = "dash";
+    value = parseDash(preset === "custom" ? custom.value : preset);
+  } else if (what === "miter") {
+    value = Math.max(1, Number(t.value) || 10);
+  } else if (what === "nostroke") {
+    what = "stroked";
+    value = !t.checked;
+  } else {
+    value = t.value;
+  }
+  AT.stroke = { ...AT.stroke, [what]: value };
+  if (SelectedShapes.list.length > 0) {
+    UndoStack.record("line style");
+    SelectedShapes.update(what, value);
+    renderCanvas();
+  }
+}
+
 /**
  * Click on color-swatch for line color
  * @param {MouseEvent} e
@@ -475,6 +814,9 @@ function getLineSize(e) {
 function chooseColor(e) {
   const t = /** @type {HTMLElement}*/ (e.target);
   if (t.title) {
+    if (SelectedShapes.list.length > 0) {
+      UndoStack.record("color");
+    }
     if (Keys.has("Shift")) {
       AT.color = t.title;
       document.documentElement.style.setProperty("--line", AT.color);
@@ -501,31 +843,17 @@ function adjustColors(div) {
 }
 
 /**
- * A group of objects are to be rotated
- * Create a polygon that wraps all these shapes
- * Rotate all shapes around this centroid
+ * Selected shapes are to be rotated
+ * Move their centers around the pivot,
+ * shape.rotate turns each of them in place
+ * @param {Vector} diff
  */
 function rotateGroup(diff) {
-  const list = SelectedShapes.list;
-  const shapeCenters = list.map((s) => ({ x: s.x, y: s.y }));
-  const { x, y } = AT.jarvisHull;
-  const points = shapeCenters.map((e) => ({ x: e.x - x, y: e.y - y }));
-  // a polygon made up of shape centers - rotate this to get
-  // new position for these centers.
-  const shape = new Polygon({
-    x,
-    y,
-    points,
-    c: "red",
-    f: "red",
-    thick:1,
-  });
-  shape.rotate(diff, AT.modify);
-  const newpoints = shape.points;
-  list.forEach((e, i) => {
-    e.x = x + newpoints[i].x;
-    e.y = y + newpoints[i].y;
-  });
+  // the centers turn around the pivot (see Rotate.js)
+  const pivot = Rotate.center();
+  for (const e of SelectedShapes.list) {
+    Rotate.orbit(e, diff, pivot);
+  }
 }
 
 /**
@@ -550,8 +878,8 @@ function scaleGroup(diff) {
   shape.scale(diff, AT.modify);
   const newpoints = shape.points;
   list.forEach((e, i) => {
-    e.x = x + newpoints[i].x;
-    e.y = y + newpoints[i].y;
+    // move - a group must take its children along
+    e.move({ x: x + newpoints[i].x - e.x, y: y + newpoints[i].y - e.y });
   });
 }
 
@@ -0,0 +1,152 @@
+// @ts-check
+
+/**
+ * @file Align - line up and space out the selected shapes.
+ * Bounds of a shape is the bounding box of its polygon.
+ * Shapes are aligned to the bounds of the selection, the first selected
+ * shape or the page (Align.to), and distributed with equal gaps
+ * or equal distance between centers (Align.spacing).
+ */
+
+/**
+ * Static class for align and distribute
+ * @namespace Align
+ * @property {string}  to  - selection|first|page
+ * @property {string}  spacing  - gaps|centers
+ */
+class Align {
+  static to = "selection";
+  static spacing = "gaps";
+
+  /**
+   * Bounding box of shape
+   * @param {Shape} shape
+   * @returns {{x:number,y:number,w:number,h:number}}
+   */
+  static bounds(shape) {
+    return boundingBox(shape.polygon);
+  }
+
+  /**
+   * The box shapes are aligned to
+   * @param {Array.<Shape>} list
+   * @returns {{x:number,y:number,w:number,h:number}}
+   */
+  static reference(list) {
+    if (Align.to === "page") {
+      return { x: 0, y: 0, w: canWidth, h: canHeight };
+    }
+    if (Align.to === "first") {
+      return Align.bounds(list[0]);
+    }
+    return boundingBox(list.reduce((s, shape) => s.concat(shape.polygon), []));
+  }
+
+  /**
+   * Align selected shapes
+   * @param {string} edge left|right|top|bottom|center|middle
+   * @returns {boolean} true if anything was moved
+   */
+  static align(edge) {
+    const list = SelectedShapes.list;
+    // one shape can only be aligned to the page
+    if (list.length === 0 || (list.length === 1 && Align.to !== "page")) {
+      return false;
+    }
+    const ref = Align.reference(list);
+    UndoStack.record("align " + edge);
+    for (const shape of list) {
+      const b = Align.bounds(shape);
+      const d = { x: 0, y: 0 };
+      if (edge === "left") d.x = ref.x - b.x;
+      if (edge === "right") d.x = ref.x + ref.w - (b.x + b.w);
+      if (edge === "center") d.x = ref.x + ref.w / 2 - (b.x + b.w / 2);
+      if (edge === "top") d.y = ref.y - b.y;
+      if (edge === "bottom") d.y = ref.y + ref.h - (b.y + b.h);
+      if (edge === "middle") d.y = ref.y + ref.h / 2 - (b.y + b.h / 2);
+      shape.move(d);
+    }
+    return true;
+  }
+
+  /**
+   * Spread selected shapes evenly along an axis.
+   * The outermost shapes stay in place - unless aligning to the page
+   * @param {string} axis x|y
+   * @returns {boolean} true if anything was moved
+   */
+  static distribute(axis) {
+    const page = Align.to === "page";
+    const list = SelectedShapes.list;
+    if (list.length < (page ? 1 : 3)) return false;
+    const size = axis === "x" ? "w" : "h";
+    const items = list
+      .map((shape) => ({ shape, b: Align.bounds(shape) }))
+      .sort((p, q) => p.b[axis] - q.b[axis]);
+    const n = items.length;
+    const first = items[0].b;
+    const last = items[n - 1].b;
+    const start = page ? 0 : first[axis];
+    const end = page ? (axis === "x" ? canWidth : canHeight) : last[axis] + last[size];
+    // where each shape should start
+    let targets;
+    if (Align.spacing === "centers") {
+      const c0 = page ? 0 : first[axis] + first[size] / 2;
+      const c1 = page ? end : last[axis] + last[size] / 2;
+      const parts = page ? n + 1 : n - 1;
+      const step = (c1 - c0) / parts;
+      targets = items.map(({ b }, i) => c0 + step * (page ? i + 1 : i) - b[size] / 2);
+    } else {
+      const total = items.reduce((s, { b }) => s + b[size], 0);
+      const parts = page ? n + 1 : n - 1;
+      const gap = (end - start - total) / parts;
+      let pos = start + (page ? gap : 0);
+      targets = items.map(({ b }) => {
+        const here = pos;
+        pos += b[size] + gap;
+        return here;
+      });
+    }
+    UndoStack.record("distribute");
+    items.forEach(({ shape, b }, i) => {
+      const d = { x: 0, y: 0 };
+      d[axis] = targets[i] - b[axis];
+      shape.move(d);
+    });
+    return true;
+  }
+
+  /**
+   * Run an align or distribute command and show the result
+   * @param {string} command left|right|top|bottom|center|middle|x|y
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {CanvasRenderingContext2D} gtx
+   */
+  static run(command, ctx, gtx) {
+    const distribute = command === "x" || command === "y";
+    const done = distribute ? Align.distribute(command) : Align.align(command);
+    if (done) {
+      renderAll(ctx);
+      SelectedShapes.ghost(gtx);
+    }
+  }
+
+  /**
+   * Connect the align toolbar
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {CanvasRenderingContext2D} gtx
+   */
+  static setup(ctx, gtx) {
+    g("align").addEventListener("click", (e) => {
+      const t = /** @type {HTMLElement} */ (e.target);
+      const command = t.dataset.align;
+      if (command) Align.run(command, ctx, gtx);
+    });
+    g("align-to").addEventListener("change", (e) => {
+      Align.to = e.target.value;
+    });
+    g("distribute-by").addEventListener("change", (e) => {
+      Align.spacing = e.target.value;
+    });
+  }
+}
@@ -0,0 +1,180 @@
+// @ts-check
+
+/**
+ * @file Autosave - keep a copy of the drawing in the browser (IndexedDB).
+ * The document (see PaintFile.js) is stored a few seconds after a change.
+ * The newest few copies are kept as recovery points, so a reload
+ * or a crash does not lose the drawing.
+ */
+
+/**
+ * Static class for autosave and recovery
+ * @namespace Autosave
+ * @property {boolean}  dirty  - changed since last autosave
+ * @property {number}  changes  - count of changes, tells if a change came during a save
+ * @property {boolean}  unsaved  - changed since last save to file
+ * @property {boolean}  paused  - no autosave while looking for recovery points
+ * @property {number}  keep  - number of recovery points to keep
+ * @property {number}  delay  - ms between checks for changes
+ * @property {boolean}  warned  - user has been told that autosave fails
+ * @property {Promise|null}  _db  - the opened database
+ */
+class Autosave {
+  static dirty = false;
+  static changes = 0;
+  static unsaved = false;
+  static paused = false;
+  static keep = 3;
+  static delay = 5000;
+  static warned = false;
+  static _db = null;
+
+  /**
+   * Call this whenever drawings change
+   */
+  static changed() {
+    Autosave.dirty = true;
+    Autosave.changes++;
+    Autosave.unsaved = true;
+  }
+
+  /**
+   * Opens database, creates the store on first use
+   * @returns {Promise.<IDBDatabase>}
+   */
+  static _open() {
+    if (!Autosave._db) {
+      Autosave._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open("jspaint", 1);
+        req.onupgradeneeded = () =>
+          req.result.createObjectStore("recovery", { keyPath: "time" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return Autosave._db;
+  }
+
+  /**
+   * True while the restore form is on screen - it is gone
+   * when closed or replaced by another form
+   * @returns {boolean}
+   */
+  static restoring() {
+    return g("recovery-point") !== null && !g("newpage").classList.contains("hidden");
+  }
+
+  /**
+   * Store drawing as a new recovery point if it has changed.
+   * Oldest points are deleted so we keep at most Autosave.keep
+   */
+  static save() {
+    if (!Autosave.dirty || Autosave.paused || Autosave.restoring()) return;
+    const { changes } = Autosave;
+    const point = {
+      time: Date.now(),
+      count: drawings.length,
+      json: documentToJSON(),
+    };
+    Autosave._open()
+      .then(
+        (db) =>
+          new Promise((resolve, reject) => {
+            const tx = db.transaction("recovery", "readwrite");
+            const store = tx.objectStore("recovery");
+            store.put(point);
+            const keys = store.getAllKeys(); // sorted, oldest first
+            keys.onsuccess = () => {
+              for (const key of keys.result.slice(0, -Autosave.keep)) {
+                store.delete(key);
+              }
+            };
+            tx.oncomplete = () => resolve(undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error ?? new Error("transaction aborted"));
+          })
+      )
+      .then(() => {
+        // changes made while saving are saved next time
+        if (Autosave.changes === changes) Autosave.dirty = false;
+      })
+      .catch((err) => {
+        // tell once, not every few seconds
+        if (Autosave.warned) return;
+        Autosave.warned = true;
+        alert(`Autosave failed, remember to save your drawing: ${err.message}`);
+      });
+  }
+
+  /**
+   * Returns all recovery points, newest first
+   * @returns {Promise.<Array.<{time:number,count:number,json:string}>>}
+   */
+  static points() {
+    return Autosave._open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const req = db
+            .transaction("recovery", "readonly")
+            .objectStore("recovery")
+            .getAll();
+          req.onsuccess = () => resolve(req.result.reverse());
+          req.onerror = () => reject(req.error);
+        })
+    );
+  }
+
+  /**
+   * If there are recovery points - ask user if one should be restored
+   */
+  static offerRestore() {
+    Autosave.paused = true;
+    Autosave.points()
+      .then((points) => {
+        // the form pauses autosave while it is shown, see Autosave.restoring
+        Autosave.paused = false;
+        if (points.length === 0) return;
+        const np = g("newpage");
+        makeForm(
+          np,
+          "restore",
+          () => {
+            const selPoint = np.querySelector("#recovery-point");
+            selPoint.innerHTML = points
+              .map(
+                (p, i) =>
+                  `<option value="${i}">${new Date(p.time).toLocaleString()}` +
+                  ` (${p.count} shapes)</option>`
+              )
+              .join("");
+          },
+          () => {
+            const i = Number(np.querySelector("#recovery-point").value);
+            loadDocument(points[i].json);
+            Autosave.unsaved = true; // not saved to a file yet
+          }
+        );
+      })
+      .catch(() => {
+        // no database (private window) - nothing to recover
+        Autosave.paused = false;
+      });
+  }
+
+  /**
+   * Start saving at intervals, also when the page is hidden or closed
+   */
+  static start() {
+    setInterval(Autosave.save, Autosave.delay);
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) Autosave.save();
+    });
+    window.addEventListener("beforeunload", (e) => {
+      if (Autosave.unsaved) {
+        // browser asks user before leaving page
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    });
+  }
+}
@@ -0,0 +1,299 @@
+// @ts-check
+
+/**
+ * @file Effects - drop shadow, outer glow and blur on shapes.
+ * A shape has a stack of effects, drawn in order below the shape.
+ * Effects are plain objects and never changed, an edit makes a new stack.
+ * Offsets and blur are in page pixels, a shadow falls the same way
+ * however the shape is turned. Effects grow when the shape is scaled.
+ * Canvas draws a shadow for the shape, so each shadow is drawn
+ * with the shape moved far off the canvas - only the shadow lands.
+ */
+
+/**
+ * @typedef {Object} Effect
+ * @property {string} type shadow|glow|blur
+ * @property {string} [color] css color of shadow and glow
+ * @property {number} [blur] softness of shadow and glow
+ * @property {number} [dx] offset of shadow
+ * @property {number} [dy]
+ * @property {number} [radius] of blur
+ */
+
+/**
+ * Static class for shape effects
+ * @namespace Effects
+ * @property {Object.<string,Effect>}  defaults  - new effect of each type
+ * @property {Object.<string,string>}  names  - shown in the editor
+ * @property {number}  far  - shape is moved this far when drawing a shadow
+ * @property {Map.<Shape,string>}  ids  - svg id of the filter of each shape in an export
+ */
+class Effects {
+  static defaults = {
+    shadow: { type: "shadow", color: "rgba(0,0,0,0.5)", blur: 8, dx: 4, dy: 4 },
+    glow: { type: "glow", color: "rgba(255,215,0,0.8)", blur: 12 },
+    blur: { type: "blur", radius: 2 },
+  };
+  static names = { shadow: "Drop shadow", glow: "Outer glow", blur: "Blur" };
+  static far = 100000;
+  static ids = new Map();
+
+  /**
+   * Size of a page pixel on the device - export draws at 2x, 4x.
+   * Shadows and filters are not scaled by the transform
+   * @param {CanvasRenderingContext2D} ctx
+   * @returns {number}
+   */
+  static zoom(ctx) {
+    const m = ctx.getTransform();
+    return Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+  }
+
+  /**
+   * Effect with sizes scaled by k
+   * @param {Effect} effect
+   * @param {number} k
+   * @returns {Effect}
+   */
+  static scaled(effect, k) {
+    const e = { ...effect };
+    for (const key of ["blur", "dx", "dy", "radius"]) {
+      if (e[key] !== undefined) e[key] = e[key] * k;
+    }
+    return e;
+  }
+
+  /**
+   * Draw shadows and glows of shape - call with styles set, before the shape
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Shape} shape
+   */
+  static render(ctx, shape) {
+    const { far } = Effects;
+    for (const e of shape.effects) {
+      if (e.type !== "shadow" && e.type !== "glow") continue;
+      const m = ctx.getTransform();
+      const dx = e.dx ?? 0;
+      const dy = e.dy ?? 0;
+      ctx.save();
+      // shadow offset is in device pixels, not moved by translate
+      ctx.translate(-far, 0);
+      ctx.shadowOffsetX = far * m.a + m.a * dx + m.c * dy;
+      ctx.shadowOffsetY = far * m.b + m.b * dx + m.d * dy;
+      ctx.shadowBlur = e.blur * Effects.zoom(ctx);
+      ctx.shadowColor = e.color;
+      ctx.beginPath();
+      shape.drawme(ctx);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Canvas filter for shape - a blur is added to the filter of a group
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static filter(ctx, shape) {
+    const radius = shape.effects
+      .filter((e) => e.type === "blur")
+      .reduce((s, e) => s + e.radius, 0);
+    const inherited = ctx.filter ?? "none";
+    if (radius <= 0) return inherited;
+    const blur = `blur(${fix(radius * Effects.zoom(ctx))}px)`;
+    return inherited === "none" ? blur : `${inherited} ${blur}`;
+  }
+
+  /**
+   * Svg id for the filter of shape - unique in the export, even for copies
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static svgId(shape) {
+    if (!Effects.ids.has(shape)) Effects.ids.set(shape, `effects-${Effects.ids.size + 1}`);
+    return Effects.ids.get(shape);
+  }
+
+  /**
+   * Svg filter for shape - each shadow is the blurred alpha of the shape
+   * flooded with its color, the shape goes on top.
+   * The region is the bounding box with room for the effects
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static svgDef(shape) {
+    const parts = [];
+    const merge = [];
+    let margin = shape.thick;
+    shape.effects.forEach((e, i) => {
+      if (e.type === "blur") return;
+      const dx = e.dx ?? 0;
+      const dy = e.dy ?? 0;
+      margin = Math.max(margin, Math.abs(dx) + Math.abs(dy) + e.blur * 1.5);
+      parts.push(
+        `<feGaussianBlur in="SourceAlpha" stdDeviation="${fix(e.blur / 2)}"/>`,
+        `<feOffset dx="${fix(dx)}" dy="${fix(dy)}" result="alpha${i}"/>`,
+        `<feFlood flood-color="${e.color}"/>`,
+        `<feComposite in2="alpha${i}" operator="in" result="fx${i}"/>`
+      );
+      merge.push(`<feMergeNode in="fx${i}"/>`);
+    });
+    const radius = shape.effects
+      .filter((e) => e.type === "blur")
+      .reduce((s, e) => s + e.radius, 0);
+    let source = "SourceGraphic";
+    if (radius > 0) {
+      margin = Math.max(margin, radius * 3);
+      parts.push(`<feGaussianBlur in="SourceGraphic" stdDeviation="${fix(radius)}" result="src"/>`);
+      source = "src";
+    }
+    merge.push(`<feMergeNode in="${source}"/>`);
+    const { x, y, w, h } = boundingBox(shape.polygon);
+    return (
+      `<filter id="${Effects.svgId(shape)}" filterUnits="userSpaceOnUse" ` +
+      `x="${fix(x - margin)}" y="${fix(y - margin)}" ` +
+      `width="${fix(w + 2 * margin)}" height="${fix(h + 2 * margin)}">` +
+      parts.join("") +
+      `<feMerge>${merge.join("")}</feMerge></filter>`
+    );
+  }
+
+  /**
+   * Svg defs for effects of shapes - also inside groups
+   * @param {Array.<Shape>} shapes
+   * @returns {string} defs element, "" if none
+   */
+  static svgDefs(shapes) {
+    Effects.ids = new Map(); // a new export
+    const defs = [];
+    const walk = (list) => {
+      for (const s of list) {
+        if (s.effects.length > 0) defs.push(Effects.svgDef(s));
+        if (s instanceof Group) walk(s.children);
+      }
+    };
+    walk(shapes);
+    return defs.length ? `<defs>\n${defs.join("\n")}\n</defs>` : "";
+  }
+
+  /**
+   * Effects of the selection - the first selected shape decides
+   * @returns {Array.<Effect>}
+   */
+  static stack() {
+    const list = SelectedShapes.list;
+    return list.length > 0 ? list[0].effects : [];
+  }
+
+  /**
+   * Html for editing one effect
+   * @param {Effect} effect
+   * @param {number} i place in stack
+   * @returns {string}
+   */
+  static row(effect, i) {
+    const number = (key, label, title, min = "") =>
+      `<label title="${title}">${label} <input type="number" data-key="${key}" ` +
+      `value="${fix(effect[key])}"${min}></label>`;
+    let html = "";
+    if (effect.color !== undefined) {
+      const rgba = color2rgba(effect.color);
+      html +=
+        `<label>Color <input type="color" data-key="color" value="#${rgb2hex(rgba)}"></label>` +
+        `<label title="Opacity in percent">% <input type="number" data-key="alpha" ` +
+        `value="${fix(rgba.a * 100)}" min="0" max="100" step="10"></label>`;
+    }
+    if (effect.blur !== undefined) html += number("blur", "Blur", "Softness", ' min="0"');
+    if (effect.dx !== undefined) html += number("dx", "dx", "Offset to the right");
+    if (effect.dy !== undefined) html += number("dy", "dy", "Offset down");
+    if (effect.radius !== undefined) html += number("radius", "Radius", "Blur radius", ' min="0"');
+    return (
+      `<fieldset data-index="${i}"><legend>${Effects.names[effect.type]} ` +
+      `<button data-remove title="Remove effect">×</button></legend>${html}</fieldset>`
+    );
+  }
+
+  /**
+   * Show effects of the selected shapes
+   */
+  static show() {
+    const div = g("effect-list");
+    if (!div) return;
+    const stack = Effects.stack();
+    const json = JSON.stringify(stack);
+    const mixed = SelectedShapes.list.some((s) => JSON.stringify(s.effects) !== json);
+    div.classList.toggle("mixed", mixed);
+    div.title = mixed ? "mixed - an edit gives all selected shapes these effects" : "";
+    div.innerHTML = stack.map(Effects.row).join("");
+  }
+
+  /**
+   * Give all selected shapes a new stack of effects
+   * @param {Array.<Effect>} stack
+   */
+  static apply(stack) {
+    if (SelectedShapes.list.length === 0) return;
+    UndoStack.record("effects");
+    for (const s of SelectedShapes.list) {
+      s.effects = stack;
+    }
+    renderCanvas();
+    SelectedShapes.ghost(g("ghost").getContext("2d"));
+    SelectedShapes.show(g("shapelist"));
+    Autosave.changed();
+  }
+
+  /**
+   * A typed value for effect number i
+   * @param {number} i
+   * @param {string} key color|alpha or a size like blur
+   * @param {string} value from the input
+   */
+  static change(i, key, value) {
+    const stack = Effects.stack();
+    const effect = { ...stack[i] };
+    if (key === "color") {
+      const { a } = color2rgba(effect.color);
+      const { r, g: green, b } = color2rgba(value);
+      effect.color = `rgba(${r},${green},${b},${a})`;
+    } else {
+      const n = Number(value);
+      if (value.trim() === "" || !Number.isFinite(n)) return;
+      if (key === "alpha") {
+        const { r, g: green, b } = color2rgba(effect.color);
+        effect.color = `rgba(${r},${green},${b},${fix(Math.min(100, Math.max(0, n)) / 100)})`;
+      } else {
+        // offsets can go either way, sizes can not
+        effect[key] = key === "dx" || key === "dy" ? n : Math.max(0, n);
+      }
+    }
+    Effects.apply(stack.map((e, j) => (j === i ? effect : e)));
+  }
+
+  /**
+   * Connect the effect editor in the inspector
+   */
+  static setup() {
+    const div = g("effects");
+    div.addEventListener("change", (e) => {
+      const t = /** @type {HTMLInputElement} */ (e.target);
+      if (t.id === "effect-add") {
+        const effect = Effects.defaults[t.value];
+        t.value = "";
+        if (effect) Effects.apply([...Effects.stack(), { ...effect }]);
+        return;
+      }
+      const fieldset = t.closest("fieldset");
+      if (fieldset && t.dataset.key) {
+        Effects.change(Number(fieldset.dataset.index), t.dataset.key, t.value);
+      }
+    });
+    div.addEventListener("click", (e) => {
+      const t = /** @type {HTMLElement} */ (e.target);
+      if (t.dataset.remove === undefined) return;
+      const i = Number(t.closest("fieldset").dataset.index);
+      Effects.apply(Effects.stack().filter((_, j) => j !== i));
+    });
+    Effects.show();
+  }
+}
@@ -0,0 +1,167 @@
+// @ts-check
+
+/**
+ * @file Export - write the drawing to image files.
+ * The background layer and all shapes are drawn onto a new canvas,
+ * the ghost layer is left out. Shapes are rendered again at the
+ * chosen scale so lines stay sharp.
+ * SVG export asks each shape for an svg element (see toSVG in Shapes.js),
+ * each layer is a <g> element.
+ */
+
+/**
+ * Mime types for the image formats we can export
+ */
+const imageTypes = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+};
+
+/**
+ * Returns image format given a file name, undefined if not an image
+ * @param {string} name like "drawing.jpg"
+ * @returns {string|undefined} png|jpeg|webp|svg
+ */
+function imageFormat(name) {
+  const ext = name.split(".").pop().toLowerCase();
+  const format = ext === "jpg" ? "jpeg" : ext;
+  return imageTypes[format] ? format : undefined;
+}
+
+/**
+ * Draw background layer and shapes on a new canvas
+ * @param {Object} init
+ * @param {number} init.scale size multiplier 1,2,4 ...
+ * @param {string} init.background css color, "" for transparent
+ * @returns {HTMLCanvasElement}
+ */
+function renderPage({ scale = 1, background = "" }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(canWidth * scale);
+  canvas.height = Math.round(canHeight * scale);
+  const etx = canvas.getContext("2d");
+  if (background) {
+    etx.fillStyle = background;
+    etx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  // the background layer is a bitmap - can only be stretched
+  etx.drawImage(bkg.canvas, 0, 0, canvas.width, canvas.height);
+  etx.setTransform(scale, 0, 0, scale, 0, 0);
+  Layers.render(etx);
+  return canvas;
+}
+
+/**
+ * Returns true if no pixel on the canvas has been painted
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean}
+ */
+function isBlank(canvas) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Returns the drawing as a standalone svg document
+ * @param {string} background css color, "" for transparent
+ * @returns {string}
+ */
+function svgDocument(background = "") {
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+      `xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+      `width="${canWidth}" height="${canHeight}" ` +
+      `viewBox="0 0 ${canWidth} ${canHeight}">`,
+  ];
+  if (background) {
+    lines.push(`<rect width="100%" height="100%" fill="${svgColor(background)}"/>`);
+  }
+  if (!isBlank(bkg.canvas)) {
+    // the background layer is a bitmap
+    lines.push(
+      `<image xlink:href="${bkg.canvas.toDataURL()}" ` +
+        `width="${canWidth}" height="${canHeight}"/>`
+    );
+  }
+  const defs = Fill.svgDefs(drawings); // gradients and patterns
+  if (defs) lines.push(defs);
+  const filters = Effects.svgDefs(drawings); // shadows, glow and blur
+  if (filters) lines.push(filters);
+  lines.push(...Layers.toSVG());
+  lines.push("</svg>");
+  return lines.join("\n");
+}
+
+/**
+ * Export drawing as png, jpeg, webp or svg
+ * @param {Object} init
+ * @param {string} init.name file name
+ * @param {string} [init.format] png|jpeg|webp|svg
+ * @param {number} [init.quality] 0..1 used by jpeg and webp
+ * @param {number} [init.scale] size multiplier 1,2,4
+ * @param {string} [init.background] "" for transparent, "page" for page color or a css color
+ */
+function exportImage({
+  name,
+  format = "png",
+  quality = 0.92,
+  scale = 1,
+  background = "",
+}) {
+  let fill = background === "page" ? pageBackground() : background;
+  if (format === "jpeg" && !fill) {
+    fill = "#ffffff"; // jpeg has no transparency
+  }
+  if (format === "svg") {
+    const blob = new Blob([svgDocument(fill)], { type: imageTypes.svg });
+    downloadBlob(blob, name);
+    return;
+  }
+  const canvas = renderPage({ scale, background: fill });
+  canvas.toBlob((blob) => downloadBlob(blob, name), imageTypes[format], quality);
+}
+
+/**
+ * Show form for export options
+ * @param {string} name suggested file name
+ */
+function exportToFile(name = "") {
+  const np = g("newpage");
+  makeForm(
+    np,
+    "export-file",
+    () => {
+      np.querySelector("#export-name").value = name.replace(/\.\w+$/, "");
+      const selFormat = np.querySelector("#export-format");
+      const inpQuality = np.querySelector("#export-quality");
+      const selScale = np.querySelector("#export-scale");
+      // quality is only used by lossy formats, svg has no pixels
+      const adjust = () => {
+        const format = selFormat.value;
+        inpQuality.disabled = format === "png" || format === "svg";
+        selScale.disabled = format === "svg";
+      };
+      selFormat.addEventListener("change", adjust);
+      adjust();
+    },
+    () => {
+      const format = np.querySelector("#export-format").value;
+      const base = np.querySelector("#export-name").value.trim() || "mypicture";
+      const ext = format === "jpeg" ? "jpg" : format;
+      exportImage({
+        name: `${base}.${ext}`,
+        format,
+        quality: Number(np.querySelector("#export-quality").value),
+        scale: Number(np.querySelector("#export-scale").value),
+        background: np.querySelector("#export-bg").value,
+      });
+    }
+  );
+}
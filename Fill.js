@@ -0,0 +1,415 @@
+// @ts-check
+
+/**
+ * @file Fill - gradient and pattern fills.
+ * shape.f is a css color or a paint object:
+ *   {type:"linear", angle, stops}  angle in degrees, 0 is left to right
+ *   {type:"radial", stops}         from center out to the corners
+ *   {type:"pattern", src, width, height, repeat}  image tiled repeat times across
+ * stops are [{at, color}] with at 0..1.
+ * A paint is laid out on the shape in its own axes (turned by shape.angle),
+ * so it follows move, rotate and scale.
+ * Paint objects are never changed - a new one is made for each edit,
+ * so undo snapshots and shapes can share them.
+ * The gradient editor (#gradient) sets the fill of new and selected shapes.
+ */
+
+/**
+ * @typedef {Object} Stop
+ * @property {number} at 0..1
+ * @property {string} color css color
+ */
+
+/**
+ * @typedef {Object} Paint
+ * @property {string} type linear|radial|pattern
+ * @property {Array.<Stop>} [stops]
+ * @property {number} [angle] degrees, for linear
+ * @property {string} [src] image as data url, for pattern
+ * @property {number} [width] size of image
+ * @property {number} [height]
+ * @property {number} [repeat] tiles across the shape
+ */
+
+/**
+ * Static class for paint fills and the gradient editor
+ * @namespace Fill
+ * @property {Object}  edit  - stops, angle, image and repeat in the editor
+ * @property {string}  type  - flat|linear|radial|pattern chosen in the editor
+ * @property {string}  flat  - color used when the editor is set to flat
+ * @property {Map.<string,HTMLImageElement>}  images  - loaded pattern images by src
+ * @property {Map.<Shape,string>}  ids  - svg id of the paint of each shape in an export
+ */
+class Fill {
+  static edit = {
+    angle: 0,
+    stops: [
+      { at: 0, color: "#ffffff" },
+      { at: 1, color: "#000000" },
+    ],
+    repeat: 4,
+  };
+  static type = "flat";
+  static flat = "transparent";
+  static images = new Map();
+  static ids = new Map();
+
+  /**
+   * Returns true if f is a paint object, not a css color
+   * @param {*} f
+   * @returns {boolean}
+   */
+  static isPaint(f) {
+    return typeof f === "object" && f !== null;
+  }
+
+  /**
+   * A flat color standing in for f - for hilite and the text editor
+   * @param {string|Paint} f
+   * @returns {string}
+   */
+  static color(f) {
+    if (!Fill.isPaint(f)) return /** @type {string} */ (f);
+    const paint = /** @type {Paint} */ (f);
+    return paint.stops?.[0]?.color ?? "#808080";
+  }
+
+  /**
+   * Css background for f - used by swatches in shapelist and editor
+   * @param {string|Paint} f
+   * @returns {string}
+   */
+  static css(f) {
+    if (!Fill.isPaint(f)) return /** @type {string} */ (f);
+    const paint = /** @type {Paint} */ (f);
+    if (paint.type === "pattern") return `url('${paint.src}')`;
+    const stops = Fill.sorted(paint)
+      .map((s) => `${s.color} ${fix(s.at * 100)}%`)
+      .join(", ");
+    if (paint.type === "radial") return `radial-gradient(circle, ${stops})`;
+    return `linear-gradient(${fix(paint.angle + 90)}deg, ${stops})`;
+  }
+
+  /**
+   * Stops in order
+   * @param {Paint} paint
+   * @returns {Array.<Stop>}
+   */
+  static sorted(paint) {
+    return paint.stops.slice().sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Bounding box of shape in its own axes, relative to its center
+   * @param {Shape} shape
+   * @returns {{x:number,y:number,w:number,h:number}}
+   */
+  static box(shape) {
+    const a = -(shape.angle ?? 0);
+    const sin = Math.sin(a);
+    const cos = Math.cos(a);
+    const local = xyList2Points(shape.polygon).map((p) =>
+      rotate({ x: p.x - shape.x, y: p.y - shape.y }, sin, cos)
+    );
+    return boundingBox(points2xyList(local));
+  }
+
+  /**
+   * Where a paint goes on shape, in its own axes
+   * @param {Shape} shape
+   * @param {Paint} paint
+   * @returns {{p0:Point,p1:Point,r:number,box:{x:number,y:number,w:number,h:number}}}
+   * p0,p1 ends of linear gradient, p0,r center and radius of radial
+   */
+  static layout(shape, paint) {
+    const box = Fill.box(shape);
+    const { x, y, w, h } = box;
+    const m = { x: x + w / 2, y: y + h / 2 };
+    if (paint.type === "radial") {
+      return { p0: m, p1: m, r: Math.hypot(w, h) / 2, box };
+    }
+    const t = ((paint.angle ?? 0) * Math.PI) / 180;
+    const u = { x: Math.cos(t), y: Math.sin(t) };
+    // long enough to reach the corners
+    const half = Math.abs((w / 2) * u.x) + Math.abs((h / 2) * u.y);
+    return {
+      p0: { x: m.x - u.x * half, y: m.y - u.y * half },
+      p1: { x: m.x + u.x * half, y: m.y + u.y * half },
+      r: 0,
+      box,
+    };
+  }
+
+  /**
+   * Image for a pattern - redraws the canvas when it has loaded
+   * @param {string} src
+   * @returns {HTMLImageElement}
+   */
+  static image(src) {
+    let img = Fill.images.get(src);
+    if (!img) {
+      img = new Image();
+      img.onload = () => renderCanvas();
+      img.src = src;
+      Fill.images.set(src, img);
+    }
+    return img;
+  }
+
+  /**
+   * Fill style for ctx - a css color, CanvasGradient or CanvasPattern.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Shape} shape
+   * @param {boolean} local ctx is already moved and turned to the shape (text)
+   * @returns {string|CanvasGradient|CanvasPattern}
+   */
+  static style(ctx, shape, local = false) {
+    const f = shape.f;
+    if (!Fill.isPaint(f)) return /** @type {string} */ (f);
+    const paint = /** @type {Paint} */ (f);
+    const { p0, p1, r, box } = Fill.layout(shape, paint);
+    // from own axes to canvas
+    const angle = shape.angle ?? 0;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    const place = (p) => {
+      if (local) return p;
+      const q = rotate(p, sin, cos);
+      return { x: shape.x + q.x, y: shape.y + q.y };
+    };
+    if (paint.type === "pattern") {
+      const img = Fill.image(paint.src);
+      if (!img.complete || img.naturalWidth === 0) return "transparent";
+      const pattern = ctx.createPattern(img, "repeat");
+      const k = box.w / (paint.repeat || 1) / paint.width;
+      let m = new DOMMatrix();
+      if (!local) m = m.translate(shape.x, shape.y).rotate((angle * 180) / Math.PI);
+      pattern.setTransform(m.translate(box.x, box.y).scale(k));
+      return pattern;
+    }
+    const a = place(p0);
+    const b = place(p1);
+    const gradient =
+      paint.type === "radial"
+        ? ctx.createRadialGradient(a.x, a.y, 0, a.x, a.y, r)
+        : ctx.createLinearGradient(a.x, a.y, b.x, b.y);
+    for (const s of Fill.sorted(paint)) {
+      gradient.addColorStop(Math.min(1, Math.max(0, s.at)), s.color);
+    }
+    return gradient;
+  }
+
+  /**
+   * Svg id for the paint of shape - unique in the export, even for copies
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static svgId(shape) {
+    if (!Fill.ids.has(shape)) Fill.ids.set(shape, `paint-${Fill.ids.size + 1}`);
+    return Fill.ids.get(shape);
+  }
+
+  /**
+   * Svg fill attribute value for shape
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static svg(shape) {
+    return Fill.isPaint(shape.f)
+      ? `url(#${Fill.svgId(shape)})`
+      : svgColor(/** @type {string} */ (shape.f));
+  }
+
+  /**
+   * Svg definition of the paint of a shape
+   * @param {Shape} shape
+   * @returns {string}
+   */
+  static svgDef(shape) {
+    const paint = /** @type {Paint} */ (shape.f);
+    const { p0, p1, r, box } = Fill.layout(shape, paint);
+    const id = Fill.svgId(shape);
+    const frame = shape.svgFrame;
+    if (paint.type === "pattern") {
+      const { width, height, src } = paint;
+      const k = box.w / (paint.repeat || 1) / width;
+      return (
+        `<pattern id="${id}" patternUnits="userSpaceOnUse" ` +
+        `width="${width}" height="${height}" ` +
+        `patternTransform="${frame} translate(${fix(box.x)} ${fix(box.y)}) scale(${k})">` +
+        `<image xlink:href="${src}" width="${width}" height="${height}"/></pattern>`
+      );
+    }
+    const stops = Fill.sorted(paint)
+      .map((s) => `<stop offset="${fix(s.at)}" stop-color="${s.color}"/>`)
+      .join("");
+    const geometry =
+      paint.type === "radial"
+        ? `radialGradient id="${id}" cx="${fix(p0.x)}" cy="${fix(p0.y)}" r="${fix(r)}"`
+        : `linearGradient id="${id}" x1="${fix(p0.x)}" y1="${fix(p0.y)}" ` +
+          `x2="${fix(p1.x)}" y2="${fix(p1.y)}"`;
+    const tag = paint.type === "radial" ? "radialGradient" : "linearGradient";
+    return (
+      `<${geometry} gradientUnits="userSpaceOnUse" gradientTransform="${frame}">` +
+      `${stops}</${tag}>`
+    );
+  }
+
+  /**
+   * Svg defs for all paint fills among shapes (and inside groups)
+   * @param {Array.<Shape>} shapes
+   * @returns {string} empty if there are none
+   */
+  static svgDefs(shapes) {
+    Fill.ids = new Map(); // a new export
+    const defs = [];
+    const walk = (list) => {
+      for (const s of list) {
+        if (s instanceof Group) walk(s.children);
+        else if (Fill.isPaint(s.f)) defs.push(Fill.svgDef(s));
+      }
+    };
+    walk(shapes);
+    return defs.length ? `<defs>\n${defs.join("\n")}\n</defs>` : "";
+  }
+
+  /**
+   * The paint made by the editor - or a flat color
+   * @returns {string|Paint|null} null for a pattern without image
+   */
+  static current() {
+    const { edit, type } = Fill;
+    if (type === "flat") return Fill.isPaint(AT.fill) ? Fill.flat : AT.fill;
+    if (type === "pattern") {
+      if (!edit.src) return null;
+      const { src, width, height, repeat } = edit;
+      return { type, src, width, height, repeat };
+    }
+    const stops = edit.stops.map(({ at, color }) => ({ at, color }));
+    return type === "radial" ? { type, stops } : { type, angle: edit.angle, stops };
+  }
+
+  /**
+   * Use the paint from the editor for new shapes and the selection
+   */
+  static apply() {
+    const paint = Fill.current();
+    Fill.show();
+    if (!paint) return; // pattern without image
+    // remember the swatch color before a paint replaces it
+    if (!Fill.isPaint(AT.fill)) Fill.flat = /** @type {string} */ (AT.fill);
+    AT.fill = paint;
+    if (SelectedShapes.list.length > 0) {
+      UndoStack.record("fill");
+      SelectedShapes.update("f", paint);
+      renderCanvas();
+      SelectedShapes.show(g("shapelist"));
+      Autosave.changed();
+    }
+  }
+
+  /**
+   * Load the paint of the first selected shape into the editor
+   */
+  static pick() {
+    const f = SelectedShapes.list[0]?.f;
+    if (!Fill.isPaint(f)) return;
+    Fill.type = f.type;
+    Fill.edit = { ...Fill.edit, ...f };
+    Fill.show();
+  }
+
+  /**
+   * Show the editor
+   */
+  static show() {
+    const div = g("gradient");
+    if (!div) return;
+    const { edit, type } = Fill;
+    div.dataset.type = type;
+    /** @type {HTMLSelectElement} */ (g("fill-type")).value = type;
+    /** @type {HTMLInputElement} */ (g("fill-angle")).value = String(edit.angle ?? 0);
+    /** @type {HTMLInputElement} */ (g("fill-repeat")).value = String(edit.repeat ?? 4);
+    const paint = Fill.current();
+    g("fill-preview").style.background = paint ? Fill.css(paint) : "none";
+    g("fill-stops").innerHTML = edit.stops
+      .map(
+        (s, i) => `<span class="stop">
+            <input type="color" data-i="${i}" data-what="color" value="${s.color}">
+            <input type="number" data-i="${i}" data-what="at" min="0" max="100" value="${fix(s.at * 100)}">
+            <button data-i="${i}" data-what="remove" title="Remove stop">×</button>
+          </span>`
+      )
+      .join("");
+  }
+
+  /**
+   * Connect the gradient editor
+   */
+  static setup() {
+    const stops = () => Fill.edit.stops.map((s) => ({ ...s }));
+    g("fill-type").addEventListener("change", (e) => {
+      Fill.type = e.target.value;
+      Fill.apply();
+    });
+    g("fill-angle").addEventListener("change", (e) => {
+      Fill.edit = { ...Fill.edit, angle: Number(e.target.value) || 0 };
+      Fill.apply();
+    });
+    g("fill-repeat").addEventListener("change", (e) => {
+      Fill.edit = { ...Fill.edit, repeat: Math.max(1, Number(e.target.value) || 1) };
+      Fill.apply();
+    });
+    g("fill-add").addEventListener("click", () => {
+      // new stop halfway between the last two
+      const list = Fill.sorted(/** @type {Paint} */ (Fill.edit));
+      const last = list[list.length - 1];
+      const before = list[list.length - 2] ?? { at: 0 };
+      const stop = { at: (before.at + last.at) / 2, color: last.color };
+      Fill.edit = { ...Fill.edit, stops: [...stops(), stop] };
+      Fill.apply();
+    });
+    g("fill-stops").addEventListener("change", (e) => {
+      const t = /** @type {HTMLInputElement} */ (e.target);
+      const i = Number(t.dataset.i);
+      const list = stops();
+      if (t.dataset.what === "color") list[i].color = t.value;
+      if (t.dataset.what === "at") {
+        list[i].at = Math.min(100, Math.max(0, Number(t.value) || 0)) / 100;
+      }
+      Fill.edit = { ...Fill.edit, stops: list };
+      Fill.apply();
+    });
+    g("fill-stops").addEventListener("click", (e) => {
+      const t = /** @type {HTMLElement} */ (e.target);
+      if (t.dataset.what !== "remove" || Fill.edit.stops.length < 3) return;
+      const list = stops();
+      list.splice(Number(t.dataset.i), 1);
+      Fill.edit = { ...Fill.edit, stops: list };
+      Fill.apply();
+    });
+    g("fill-image").addEventListener("change", (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const src = String(reader.result);
+        const img = Fill.image(src);
+        img
+          .decode()
+          .then(() => {
+            const { naturalWidth: width, naturalHeight: height } = img;
+            Fill.edit = { ...Fill.edit, src, width, height };
+            Fill.type = "pattern";
+            Fill.apply();
+          })
+          .catch(() => {
+            Fill.images.delete(src);
+            alert(`Could not use ${file.name} as a pattern, it is not an image`);
+          });
+      };
+      reader.readAsDataURL(file);
+    });
+    Fill.show();
+  }
+}
@@ -0,0 +1,205 @@
+// @ts-check
+
+/**
+ * @file Inspector - show and edit properties of the selected shapes.
+ * Position is the center of a shape, size is the bounding box of its polygon.
+ * If the selected shapes differ, the field is empty and shows "mixed".
+ * A typed value is set on every selected shape.
+ * Fields that make no sense for a shape (radius of a square) are hidden,
+ * width and height only show for shapes that can stretch along one axis.
+ * Opacity is shown in percent.
+ * Shadows, glow and blur are edited below the fields, see Effects.js
+ */
+
+/**
+ * @typedef {Object} Field
+ * @property {function(Shape):(number|string|boolean|undefined)} get undefined if not used by shape
+ * @property {function(Shape,*):void} set
+ */
+
+/**
+ * Static class for the property inspector
+ * @namespace Inspector
+ * @property {Object.<string,Field>}  fields  - indexed by data-prop of the inputs
+ */
+class Inspector {
+  static fields = {
+    x: {
+      get: (s) => s.x,
+      set: (s, v) => s.move({ x: v - s.x, y: 0 }),
+    },
+    y: {
+      get: (s) => s.y,
+      set: (s, v) => s.move({ x: 0, y: v - s.y }),
+    },
+    w: {
+      get: (s) => (Inspector.stretches(s) ? boundingBox(s.polygon).w : undefined),
+      set: (s, v) => Inspector.resize(s, "x", v),
+    },
+    h: {
+      get: (s) => (Inspector.stretches(s) ? boundingBox(s.polygon).h : undefined),
+      set: (s, v) => Inspector.resize(s, "y", v),
+    },
+    r: {
+      get: (s) => (s.isa("Circle") ? s.r : undefined),
+      set: (s, v) => {
+        if (v <= 0) return;
+        s.scaleWithEffects(new Vector({ x: (v / s.r - 1) * 100, y: 0 }), "");
+      },
+    },
+    angle: {
+      get: (s) => (s.angle === undefined ? undefined : Inspector.degrees(s.angle)),
+      set: (s, v) => {
+        const turn = ((v - Inspector.degrees(s.angle)) * Math.PI) / 180;
+        s.rotate(new Vector({ x: turn * 100, y: 0 }), "");
+      },
+    },
+    thick: {
+      get: (s) => s.thick,
+      set: (s, v) => v >= 0 && s.setProperty("thick", v),
+    },
+    c: {
+      get: (s) => s.c,
+      set: (s, v) => s.setProperty("c", v),
+    },
+    f: {
+      get: (s) => (s.isa("Polyline") ? undefined : s.f),
+      set: (s, v) => s.setProperty("f", v),
+    },
+    nofill: {
+      get: (s) => (s.isa("Polyline") ? undefined : isTransparent(s.f)),
+      set: (s, v) => {
+        const fill = /** @type {HTMLInputElement} */ (Inspector.input("f")).value;
+        s.setProperty("f", v ? "transparent" : fill);
+      },
+    },
+    opacity: {
+      get: (s) => s.opacity * 100,
+      set: (s, v) => (s.opacity = Math.min(100, Math.max(0, v)) / 100),
+    },
+    blend: {
+      get: (s) => s.blend,
+      set: (s, v) => (s.blend = v),
+    },
+  };
+
+  /**
+   * Angle in degrees, -180 to 180
+   * @param {number} angle radians
+   * @returns {number}
+   */
+  static degrees(angle) {
+    const d = ((angle * 180) / Math.PI) % 360;
+    return d > 180 ? d - 360 : d <= -180 ? d + 360 : d;
+  }
+
+  /**
+   * True if scaling shape along x or y stretches its bounding box
+   * along that axis only. Circle and text keep their proportions,
+   * an ellipse stretches along its own axes
+   * @param {Shape} s
+   * @returns {boolean}
+   */
+  static stretches(s) {
+    if (s.isa("Circle") || s.isa("Text")) return false;
+    if (s.isa("Ellipse")) return Math.abs(Math.sin(/** @type {Ellipse} */ (s).angle)) < 1e-9;
+    if (s instanceof Group) return s.children.every(Inspector.stretches);
+    return true;
+  }
+
+  /**
+   * Scale shape so its bounding box gets size v along axis
+   * @param {Shape} s
+   * @param {string} axis x|y
+   * @param {number} v
+   */
+  static resize(s, axis, v) {
+    const { w, h } = boundingBox(s.polygon);
+    const now = axis === "x" ? w : h;
+    if (v <= 0 || now === 0) return;
+    s.scaleWithEffects(new Vector({ x: (v / now - 1) * 100, y: 0 }), axis);
+  }
+
+  /**
+   * Input for a property
+   * @param {string} prop
+   * @returns {HTMLInputElement}
+   */
+  static input(prop) {
+    return document.querySelector(`#inspector [data-prop="${prop}"]`);
+  }
+
+  /**
+   * Show values of the selected shapes
+   */
+  static show() {
+    const div = g("inspector");
+    if (!div) return;
+    const list = SelectedShapes.list;
+    div.classList.toggle("empty", list.length === 0);
+    for (const [prop, field] of Object.entries(Inspector.fields)) {
+      const input = Inspector.input(prop);
+      const values = list.map(field.get).filter((v) => v !== undefined);
+      const used = values.length > 0;
+      input.closest("label").classList.toggle("hidden", !used);
+      if (!used) continue;
+      const round = (v) => (typeof v === "number" ? fix(v) : v);
+      const mixed = values.some((v) => round(v) !== round(values[0]));
+      input.classList.toggle("mixed", mixed);
+      input.title = mixed ? "mixed" : "";
+      if (input.type === "checkbox") {
+        input.checked = !mixed && values[0];
+        input.indeterminate = mixed;
+      } else if (input.type === "color") {
+        // a color input only takes #rrggbb
+        input.value = "#" + rgb2hex(color2rgba(Fill.color(values[0])));
+      } else {
+        input.value = mixed ? "" : String(round(values[0]));
+        input.placeholder = mixed ? "mixed" : "";
+      }
+    }
+    Effects.show();
+  }
+
+  /**
+   * Set a typed value on all selected shapes
+   * @param {string} prop
+   * @param {HTMLInputElement} input
+   */
+  static change(prop, input) {
+    const field = Inspector.fields[prop];
+    const list = SelectedShapes.list;
+    if (!field || list.length === 0) return;
+    let value;
+    if (input.type === "checkbox") {
+      value = input.checked;
+    } else if (input.type === "color" || input.tagName === "SELECT") {
+      value = input.value;
+    } else {
+      if (input.value.trim() === "") return;
+      value = Number(input.value);
+      if (!Number.isFinite(value)) return;
+    }
+    UndoStack.record("set " + prop);
+    for (const s of list) {
+      if (field.get(s) !== undefined) field.set(s, value);
+    }
+    AT.jarvisHull = null;
+    renderCanvas();
+    SelectedShapes.ghost(g("ghost").getContext("2d"));
+    SelectedShapes.show(g("shapelist"));
+    Autosave.changed();
+  }
+
+  /**
+   * Connect the inspector inputs
+   */
+  static setup() {
+    const div = g("inspector");
+    div.addEventListener("change", (e) => {
+      const t = /** @type {HTMLInputElement} */ (e.target);
+      if (t.dataset.prop) Inspector.change(t.dataset.prop, t);
+    });
+    Inspector.show();
+  }
+}
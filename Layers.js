@@ -0,0 +1,328 @@
+// @ts-check
+
+/**
+ * @file Layers - named layers that shapes are drawn on.
+ * Each shape has a layer id (shape.layer), drawings is kept sorted
+ * so shapes on lower layers come first. Layers can be hidden, locked
+ * (shapes can't be selected) and made see-thru.
+ * The bitmap background (#back) is below all layers.
+ */
+
+/**
+ * A layer - its shapes are those in drawings with this id
+ */
+class Layer {
+  /**
+   * @param {Object} init
+   * @param {number} init.id
+   * @param {string} init.name
+   * @param {boolean} [init.visible]
+   * @param {boolean} [init.locked] shapes can't be selected
+   * @param {number} [init.opacity] 0..1 for the whole layer
+   */
+  constructor({ id, name, visible = true, locked = false, opacity = 1 }) {
+    this.id = id;
+    this.name = name;
+    this.visible = visible;
+    this.locked = locked;
+    this.opacity = opacity;
+  }
+
+  /**
+   * Shapes on this layer in drawing order.
+   * Shapes with an unknown layer are on the bottom layer, like Layers.get
+   * @returns {Array.<Shape>}
+   */
+  get shapes() {
+    return drawings.filter((s) => Layers.get(s.layer) === this);
+  }
+}
+
+/**
+ * Static class holding the layers
+ * @namespace Layers
+ * @property {Array.<Layer>}  list  - layers, bottom first
+ * @property {number}  active  - id of layer that gets new shapes
+ * @property {number}  idx  - next layer id
+ * @property {HTMLCanvasElement|null}  _buffer  - for drawing see-thru layers
+ * @property {boolean}  _sliding  - undo is recorded for this opacity change
+ */
+class Layers {
+  static list = [new Layer({ id: 1, name: "Layer 1" })];
+  static active = 1;
+  static idx = 2;
+  static _buffer = null;
+  static _sliding = false;
+
+  /**
+   * Layer with given id - unknown ids give the bottom layer
+   * @param {number} id
+   * @returns {Layer}
+   */
+  static get(id) {
+    return Layers.list.find((l) => l.id === id) ?? Layers.list[0];
+  }
+
+  /**
+   * Returns true if shape can be selected - its layer is visible and not locked
+   * @param {Shape} shape
+   * @returns {boolean}
+   */
+  static pickable(shape) {
+    const layer = Layers.get(shape.layer);
+    return layer.visible && !layer.locked;
+  }
+
+  /**
+   * Sort drawings by layer, keeps order inside each layer
+   */
+  static sort() {
+    const order = new Map(Layers.list.map((l, i) => [l.id, i]));
+    const index = (s) => order.get(s.layer) ?? 0;
+    drawings.sort((a, b) => index(a) - index(b));
+  }
+
+  /**
+   * Draw visible layers in order. A see-thru layer is drawn on a buffer
+   * first, so its own shapes don't show thru each other
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  static render(ctx) {
+    Layers.sort();
+    for (const layer of Layers.list) {
+      if (!layer.visible) continue;
+      const shapes = layer.shapes;
+      if (shapes.length === 0) continue;
+      if (layer.opacity >= 1) {
+        shapes.forEach((s) => s.render(ctx));
+        continue;
+      }
+      const { width, height } = ctx.canvas;
+      if (!Layers._buffer) {
+        Layers._buffer = document.createElement("canvas");
+      }
+      const buffer = Layers._buffer;
+      buffer.width = width; // also clears it
+      buffer.height = height;
+      const btx = buffer.getContext("2d");
+      btx.setTransform(ctx.getTransform()); // export draws at 2x,4x
+      shapes.forEach((s) => s.render(btx));
+      ctx.save();
+      ctx.resetTransform();
+      ctx.globalAlpha = layer.opacity;
+      ctx.drawImage(buffer, 0, 0);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Layers as svg groups
+   * @returns {Array.<string>}
+   */
+  static toSVG() {
+    Layers.sort();
+    return Layers.list
+      .filter((layer) => layer.visible)
+      .map((layer) => {
+        const shapes = layer.shapes.map((s) => s.toStyledSVG()).join("\n");
+        const opacity = layer.opacity < 1 ? ` opacity="${fix(layer.opacity)}"` : "";
+        return `<g id="layer-${layer.id}"${opacity}>\n${shapes}\n</g>`;
+      });
+  }
+
+  /**
+   * Add a new layer above the active one and make it active
+   */
+  static add() {
+    UndoStack.record("add layer");
+    const id = Layers.idx++;
+    const layer = new Layer({ id, name: `Layer ${id}` });
+    const index = Layers.list.indexOf(Layers.get(Layers.active));
+    Layers.list.splice(index + 1, 0, layer);
+    Layers.active = id;
+    Layers.changed();
+  }
+
+  /**
+   * Delete active layer and its shapes - the last layer can't be deleted
+   */
+  static remove() {
+    if (Layers.list.length < 2) return;
+    const layer = Layers.get(Layers.active);
+    if (
+      layer.shapes.length > 0 &&
+      !confirm(`Delete ${layer.name} and its ${layer.shapes.length} shapes?`)
+    ) {
+      return;
+    }
+    UndoStack.record("delete layer");
+    const index = Layers.list.indexOf(layer);
+    drawings = drawings.filter((s) => Layers.get(s.layer) !== layer);
+    Layers.list.splice(index, 1);
+    Layers.active = Layers.list[Math.max(0, index - 1)].id;
+    Layers.changed();
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1)
+   * @param {number} id
+   * @param {number} step
+   */
+  static shift(id, step) {
+    const { list } = Layers;
+    const i = list.indexOf(Layers.get(id));
+    const j = i + step;
+    if (j < 0 || j >= list.length) return;
+    UndoStack.record(step > 0 ? "raise layer" : "lower layer");
+    [list[i], list[j]] = [list[j], list[i]];
+    Layers.changed();
+  }
+
+  /**
+   * Put selected shapes on the active layer
+   */
+  static moveSelected() {
+    if (SelectedShapes.list.length === 0) return;
+    UndoStack.record("move to layer");
+    for (const s of SelectedShapes.list) {
+      s.layer = Layers.active;
+    }
+    Layers.changed();
+  }
+
+  /**
+   * Set a property of a layer like visible, locked or opacity
+   * @param {number} id
+   * @param {string} what
+   * @param {*} value
+   */
+  static set(id, what, value) {
+    const layer = Layers.get(id);
+    layer[what] = value;
+    if (!layer.visible || layer.locked) {
+      // shapes on hidden or locked layers can't stay selected
+      SelectedShapes.list = SelectedShapes.list.filter((s) => Layers.get(s.layer) !== layer);
+      SelectedShapes.show(g("shapelist"));
+    }
+    Layers.changed();
+  }
+
+  /**
+   * Redraw and show the layer panel after a change
+   */
+  static changed() {
+    renderCanvas();
+    SelectedShapes.ghost(g("ghost").getContext("2d"));
+    Layers.show();
+    Autosave.changed();
+  }
+
+  /**
+   * Copy of the layers - used by undo
+   * @returns {{list:Array.<Object>,active:number}}
+   */
+  static snapshot() {
+    return { list: Layers.list.map((l) => ({ ...l })), active: Layers.active };
+  }
+
+  /**
+   * Set layers from a snapshot or a saved document
+   * @param {{list:Array.<Object>,active:number}} state
+   */
+  static restore({ list, active }) {
+    Layers.list = list.map((l) => new Layer(l));
+    Layers.active = Layers.get(active).id;
+    Layers.idx = Math.max(Layers.idx, ...Layers.list.map((l) => l.id + 1));
+    Layers.show();
+  }
+
+  /**
+   * One empty layer - for a new page
+   */
+  static reset() {
+    Layers.restore({ list: [{ id: 1, name: "Layer 1" }], active: 1 });
+  }
+
+  /**
+   * Show layers in the panel, top layer first
+   */
+  static show() {
+    const div = g("layers");
+    if (!div) return;
+    const rows = Layers.list
+      .slice()
+      .reverse()
+      .map((l) => {
+        const active = l.id === Layers.active ? " active" : "";
+        return `<div class="layer${active}" data-id="${l.id}">
+            <input type="checkbox" data-what="visible" title="Show" ${l.visible ? "checked" : ""}>
+            <input type="checkbox" data-what="locked" title="Lock" ${l.locked ? "checked" : ""}>
+            <span title="Click to make active, double-click to rename">${escapeXML(l.name)}</span>
+            <button data-action="up" title="Move layer up">▲</button>
+            <button data-action="down" title="Move layer down">▼</button>
+            <input type="range" data-what="opacity" title="Opacity" min="0" max="1" step="0.05" value="${l.opacity}">
+          </div>`;
+      })
+      .join("");
+    div.innerHTML = `<div class="layer-tools">
+        <button data-action="add" title="New layer">+</button>
+        <button data-action="remove" title="Delete layer">−</button>
+        <button data-action="move" title="Move selected shapes to active layer">⇥</button>
+      </div>${rows}`;
+  }
+
+  /**
+   * Connect the layer panel
+   */
+  static setup() {
+    const div = g("layers");
+    const idOf = (t) => Number(t.closest(".layer")?.dataset.id);
+    div.addEventListener("click", (e) => {
+      const t = /** @type {HTMLElement} */ (e.target);
+      const action = t.dataset.action;
+      const id = idOf(t);
+      if (action === "add") Layers.add();
+      if (action === "remove") Layers.remove();
+      if (action === "move") Layers.moveSelected();
+      if (action === "up") Layers.shift(id, 1);
+      if (action === "down") Layers.shift(id, -1);
+      if (t.tagName === "SPAN" && id) {
+        Layers.active = id;
+        Layers.show();
+      }
+    });
+    div.addEventListener("dblclick", (e) => {
+      const t = /** @type {HTMLElement} */ (e.target);
+      const id = idOf(t);
+      if (t.tagName !== "SPAN" || !id) return;
+      const layer = Layers.get(id);
+      const name = prompt("Layer name", layer.name)?.trim();
+      if (name && name !== layer.name) {
+        UndoStack.record("rename layer");
+        Layers.set(id, "name", name);
+      }
+    });
+    div.addEventListener("change", (e) => {
+      const t = /** @type {HTMLInputElement} */ (e.target);
+      const what = t.dataset.what;
+      if (what === "visible" || what === "locked") {
+        UndoStack.record("layer " + what);
+        Layers.set(idOf(t), what, t.checked);
+      }
+      if (what === "opacity") Layers._sliding = false;
+    });
+    div.addEventListener("input", (e) => {
+      const t = /** @type {HTMLInputElement} */ (e.target);
+      if (t.dataset.what !== "opacity") return;
+      if (!Layers._sliding) {
+        UndoStack.record("layer opacity");
+        Layers._sliding = true;
+      }
+      const layer = Layers.get(idOf(t));
+      layer.opacity = Number(t.value);
+      renderCanvas(); // panel is not redrawn while sliding
+      Autosave.changed();
+    });
+    Layers.show();
+  }
+}
@@ -39,6 +39,114 @@ class MakeShapes {
     return shape;
   }
 
+  /**
+   * Open line thru all points clicked, Shift+click on last point
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.ctx canvas
+   * @param {Object} init.start startpos
+   * @param {Object} init.end end position
+   * @param {boolean} init.closing true if final point
+   * @returns {Shape|undefined}
+   */
+  static polyline({ ctx, start, end, closing = false }) {
+    let shape;
+    if (AT.points.length === 0) {
+      AT.points.push(start);
+    }
+    const P = new Vector(start);
+    const Q = new Vector(end);
+    if (P.sub(Q).length > 2 || closing) {
+      const newpoints = AT.points.slice();
+      if (!closing) {
+        newpoints.push(end);
+      }
+      shape = makeLine(newpoints);
+      shape.render(ctx);
+    }
+    return shape;
+  }
+
+  /**
+   * Freehand stroke from mouse samples in AT.points (recorded by showGhost).
+   * The samples are simplified and smoothed. Ending near the start
+   * gives a closed, filled Polygon - else an open Polyline.
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.ctx canvas
+   * @param {Object} init.start startpos
+   * @param {Object} init.end end position
+   * @returns {Shape|undefined}
+   */
+  static freehand({ ctx, start, end }) {
+    let shape;
+    const samples = [start, ...AT.points];
+    const raw = simplifyPath(samples, AT.tolerance);
+    if (raw.length < 2) return undefined;
+    const first = new Vector(raw[0]);
+    const closed = raw.length > 3 && first.sub(end).length < 10;
+    const realpoints = smoothPath(raw, AT.smoothing, closed);
+    const { color: c, fill: f, thick } = AT;
+    if (closed) {
+      const { x, y } = findCentroid(realpoints);
+      const points = realpoints.map((e) => ({ x: e.x - x, y: e.y - y }));
+      shape = new Polygon({ x, y, points, c, f, thick });
+    } else {
+      const { x, y } = averagePoint(realpoints);
+      const points = realpoints.map((e) => ({ x: e.x - x, y: e.y - y }));
+      shape = new Polyline({ x, y, points, c, thick });
+    }
+    shape.render(ctx);
+    return shape;
+  }
+
+  /**
+   * Bezier curve thru nodes in AT.points (added by endAction).
+   * Click and drag pulls out the tangent at each anchor,
+   * a click without drag gives a corner.
+   * Shift+click ends the curve, ending near the start closes it.
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.ctx canvas
+   * @param {Object} init.start startpos
+   * @param {Object} init.end end position
+   * @returns {Shape|undefined}
+   */
+  static curve({ ctx, start, end }) {
+    // while dragging we are pulling a handle from start
+    const node = AT.down ? { ...start, handle: end } : { ...end, handle: end };
+    const nodes = [...AT.points, node];
+    if (nodes.length < 2) {
+      // first anchor - just show the tangent
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "gray";
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      return undefined;
+    }
+    const shape = makeCurve(nodes);
+    shape.render(ctx);
+    return shape;
+  }
+
+  /**
+   * Straight line from start to end
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.ctx canvas
+   * @param {Object} init.start startpos
+   * @param {Object} init.end end position
+   * @returns {Shape|undefined}
+   */
+  static line({ ctx, start, end }) {
+    let shape;
+    const P = new Vector(start);
+    const Q = new Vector(end);
+    if (P.sub(Q).length > 2) {
+      shape = makeLine([start, end]);
+      shape.render(ctx);
+    }
+    return shape;
+  }
+
   /**
    * @param {Object} init
    * @param {CanvasRenderingContext2D} init.ctx canvas
@@ -130,6 +238,33 @@ class MakeShapes {
     }
     return shape;
   }
+  /**
+   * Ellipse that fills the box from start to end
+   * @param {Object} init
+   * @param {CanvasRenderingContext2D} init.ctx canvas
+   * @param {Object} init.start startpos
+   * @param {Object} init.start.y ypos
+   * @param {Object} init.start.x xpos
+   * @param {Object} init.end end position
+   * @param {Object} init.end.y ypos
+   * @param {Object} init.end.x xpos
+   * @returns {Shape|undefined}
+   */
+  static ellipse({ ctx, start, end }) {
+    let shape;
+    const c = AT.color;
+    const f = AT.fill;
+    const thick = AT.thick;
+    const rx = Math.abs(end.x - start.x) / 2;
+    const ry = Math.abs(end.y - start.y) / 2;
+    if (rx > 1 && ry > 1) {
+      const x = (start.x + end.x) / 2;
+      const y = (start.y + end.y) / 2;
+      shape = new Ellipse({ x, y, rx, ry, c, f, thick });
+      shape.render(ctx);
+    }
+    return shape;
+  }
   /**
    * @param {Object} init
    * @param {CanvasRenderingContext2D} init.ctx ghost
@@ -173,10 +308,11 @@ class MakeShapes {
   static move({ gtx }) {
     const p1 = new Vector(AT.start);
     const p2 = new Vector(AT.end);
-    const diff = p2.sub(p1);
+    const diff = Snap.move(p2.sub(p1), SelectedShapes.list);
     if (diff.length > 1) {
       cleanGhost();
       shapeAction(diff, "move", gtx);
+      Snap.show(gtx);
     }
     return undefined;
   }
@@ -186,13 +322,7 @@ class MakeShapes {
    * @returns {undefined}
    */
   static rotate({ gtx }) {
-    const p1 = new Vector(AT.start);
-    const p2 = new Vector(AT.end);
-    const diff = p2.sub(p1);
-    if (diff.length > 1) {
-      cleanGhost();
-      shapeAction(diff, "rotate", gtx);
-    }
+    Rotate.preview(gtx);
     return undefined;
   }
   static scale({ gtx }) {
@@ -206,3 +336,43 @@ class MakeShapes {
     return undefined;
   }
 }
+
+/**
+ * Make a Polyline thru points using current color, width and markers
+ * @param {Array.<Point>} realpoints points on canvas
+ * @returns {Polyline}
+ */
+function makeLine(realpoints) {
+  const { x, y } = averagePoint(realpoints);
+  // points is now delta relative to {x,y}
+  const points = realpoints.map((e) => ({ x: e.x - x, y: e.y - y }));
+  const { color: c, thick, startMarker, endMarker } = AT;
+  return new Polyline({ x, y, points, c, thick, startMarker, endMarker });
+}
+
+/**
+ * Make a Curve thru nodes using current colors and width.
+ * Each node is an anchor with a handle for the outgoing tangent,
+ * the incoming tangent is the handle mirrored thru the anchor.
+ * @param {Array.<{x:number,y:number,handle:Point}>} nodes
+ * @returns {Curve}
+ */
+function makeCurve(nodes) {
+  const mirror = (n) => ({ x: 2 * n.x - n.handle.x, y: 2 * n.y - n.handle.y });
+  const anchor = ({ x, y }) => ({ x, y });
+  const first = new Vector(nodes[0]);
+  const closed = nodes.length > 2 && first.sub(nodes[nodes.length - 1]).length < 10;
+  if (closed) {
+    // last node is replaced by the first
+    nodes = [...nodes.slice(0, -1), nodes[0]];
+  }
+  const realpoints = [anchor(nodes[0])];
+  for (let i = 1; i < nodes.length; i++) {
+    const [a, b] = [nodes[i - 1], nodes[i]];
+    realpoints.push(a.handle, mirror(b), anchor(b));
+  }
+  const { x, y } = averagePoint(realpoints);
+  const points = realpoints.map((e) => ({ x: e.x - x, y: e.y - y }));
+  const { color: c, fill: f, thick } = AT;
+  return new Curve({ x, y, points, c, f, thick, closed });
+}
@@ -23,6 +23,12 @@ function makeForm(np, id, actions, ok) {
 }
 
 function startNewPage() {
+  if (
+    Autosave.unsaved &&
+    !confirm("The drawing has unsaved changes. Start a new page anyway?")
+  ) {
+    return;
+  }
   const np = g("newpage");
   makeForm(
     np,
@@ -55,12 +61,14 @@ function startNewPage() {
       });
     },
     () => {
+      UndoStack.record("new page", true);
       cleanGhost();
       cleanCanvas();
       cleanBg();
       AT.color = "blue";
       AT.fill = "transparent";
       drawings = [];
+      Layers.reset();
       SelectedShapes.list = []; // no selected shapes
       // code to read values form form
       const inpWidth = np.querySelector("#width");
@@ -69,33 +77,67 @@ function startNewPage() {
       const height = inpHeight.value || 794;
       const background =
         np.querySelector("input[name=bg]:checked").value ?? "#ffffff";
-      document.documentElement.style.setProperty("--backgrd", background);
-      document.documentElement.style.setProperty(
-        "--width",
-        String(width) + "px"
-      );
-      document.documentElement.style.setProperty(
-        "--height",
-        String(height) + "px"
-      );
-      // the size of canvas must be changed in html
-      const canvas = g("canvas");
-      const ghost = g("ghost");
-      canvas.width = width;
-      canvas.height = height;
-      ghost.width = width;
-      ghost.height = height;
-      canWidth = width;
-      canHeight = height;
-      B = g("canvas").getBoundingClientRect(); // x,y for top left corner of canvas
+      setPageSize(width, height, background);
+      Autosave.unsaved = false; // nothing to lose on a blank page
     }
   );
 }
 
+/**
+ * Returns the background color of the page
+ * @returns {string} css color
+ */
+function pageBackground() {
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue("--backgrd")
+    .trim();
+}
+
+/**
+ * Sets size and background color of the page.
+ * All three canvas layers get the new size
+ * @param {number} width
+ * @param {number} height
+ * @param {string} background css color
+ */
+function setPageSize(width, height, background) {
+  document.documentElement.style.setProperty("--backgrd", background);
+  document.documentElement.style.setProperty(
+    "--width",
+    String(width) + "px"
+  );
+  document.documentElement.style.setProperty(
+    "--height",
+    String(height) + "px"
+  );
+  // the size of canvas must be changed in html
+  for (const id of ["back", "canvas", "ghost"]) {
+    const canvas = g(id);
+    canvas.width = width;
+    canvas.height = height;
+  }
+  canWidth = Number(width);
+  canHeight = Number(height);
+  B = g("canvas").getBoundingClientRect(); // x,y for top left corner of canvas
+}
+
 function saveToFile() {
   const np = g("newpage");
-  makeForm(np,"save-file", () => {}, () => {
-    console.log("file saved");
+  makeForm(np,"save-file", () => {
+    const btnExport = np.querySelector("#export-image");
+    btnExport.addEventListener("click", () => {
+      exportToFile(np.querySelector("#file-name").value.trim());
+    });
+  }, () => {
+    const inpName = np.querySelector("#file-name");
+    const name = inpName.value.trim() || "mypicture";
+    // mypicture.png is exported as an image, mypicture is saved as json
+    const format = imageFormat(name);
+    if (format) {
+      exportImage({ name, format });
+    } else {
+      saveDocument(name);
+    }
   });
 }
 
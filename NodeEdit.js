@@ -0,0 +1,201 @@
+// @ts-check
+
+/**
+ * @file NodeEdit - change single vertices of a polygon or polyline.
+ * Enter (or double-click) on a selected polygon starts node editing,
+ * each vertex is shown as a handle on the ghost canvas.
+ * Drag a handle to move it, click on an edge to add a vertex there,
+ * Delete removes the chosen vertex. Enter or Escape ends node editing.
+ * After each change x,y and points are rebased (see Polygon.rebase)
+ * so rotation still pivots around the center.
+ */
+
+/**
+ * Static class for node editing
+ * @namespace NodeEdit
+ * @property {Polygon|null}  shape  - shape being edited
+ * @property {number}  active  - index of chosen vertex, -1 if none
+ * @property {boolean}  dragging  - a vertex follows the mouse
+ * @property {boolean}  moved  - the dragged vertex has moved (undo is recorded)
+ * @property {number}  size  - half width of a vertex handle
+ */
+class NodeEdit {
+  static shape = null;
+  static active = -1;
+  static dragging = false;
+  static moved = false;
+  static size = 4;
+
+  /**
+   * Returns true if vertices of shape can be edited
+   * @param {Shape} shape
+   * @returns {boolean}
+   */
+  static canEdit(shape) {
+    return shape.isa("Polygon") || shape.isa("Polyline");
+  }
+
+  /**
+   * Start node editing of shape
+   * @param {Shape} shape
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static enter(shape, gtx) {
+    if (!NodeEdit.canEdit(shape)) return;
+    NodeEdit.shape = /** @type {Polygon} */ (shape);
+    NodeEdit.active = -1;
+    NodeEdit.dragging = false;
+    cleanGhost();
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * End node editing
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static exit(gtx) {
+    NodeEdit.shape = null;
+    NodeEdit.active = -1;
+    NodeEdit.dragging = false;
+    cleanGhost();
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Vertices of the shape on canvas
+   * @returns {Array.<Point>}
+   */
+  static get vertices() {
+    const { x, y, points } = NodeEdit.shape;
+    return points.map((p) => ({ x: x + p.x, y: y + p.y }));
+  }
+
+  /**
+   * Index of vertex under p, -1 if none
+   * @param {Point} p
+   * @returns {number}
+   */
+  static vertexAt(p) {
+    const { size } = NodeEdit;
+    return NodeEdit.vertices.findIndex(
+      (v) => Math.abs(v.x - p.x) <= size && Math.abs(v.y - p.y) <= size
+    );
+  }
+
+  /**
+   * Index of first vertex of the edge under p, -1 if none
+   * @param {Point} p
+   * @returns {number}
+   */
+  static edgeAt(p) {
+    const shape = NodeEdit.shape;
+    const vertices = NodeEdit.vertices;
+    const closed = shape.isa("Polygon");
+    const n = closed ? vertices.length : vertices.length - 1;
+    for (let i = 0; i < n; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      if (segmentDistance(p, a, b) <= shape.hitMargin) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Mouse down while node editing.
+   * Picks a vertex or adds one on an edge.
+   * A click away from the shape ends node editing.
+   * @param {Point} p
+   * @param {CanvasRenderingContext2D} gtx ghost
+   * @returns {boolean} true if the click was used here
+   */
+  static down(p, gtx) {
+    const shape = NodeEdit.shape;
+    let i = NodeEdit.vertexAt(p);
+    let edge = -1;
+    if (i === -1) {
+      edge = NodeEdit.edgeAt(p);
+      if (edge === -1) {
+        NodeEdit.exit(gtx);
+        return false;
+      }
+      UndoStack.record("add vertex");
+      i = edge + 1;
+      shape.points.splice(i, 0, { x: p.x - shape.x, y: p.y - shape.y });
+      renderCanvas();
+    }
+    NodeEdit.active = i;
+    NodeEdit.dragging = true;
+    NodeEdit.moved = edge !== -1; // a new vertex is already recorded
+    cleanGhost();
+    SelectedShapes.ghost(gtx);
+    return true;
+  }
+
+  /**
+   * Mouse move while dragging a vertex
+   * @param {Point} p
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static drag(p, gtx) {
+    const shape = NodeEdit.shape;
+    if (!NodeEdit.moved) {
+      UndoStack.record("move vertex");
+      NodeEdit.moved = true;
+    }
+    shape.points[NodeEdit.active] = { x: p.x - shape.x, y: p.y - shape.y };
+    renderCanvas();
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Mouse up - vertex is placed, find new center
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static up(gtx) {
+    NodeEdit.dragging = false;
+    NodeEdit.shape.rebase();
+    renderCanvas();
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Remove the chosen vertex - a polygon keeps at least 3, a line 2
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static deleteVertex(gtx) {
+    const { shape, active } = NodeEdit;
+    const least = shape.isa("Polygon") ? 3 : 2;
+    const n = shape.points.length;
+    if (active === -1 || active >= n || n <= least) return;
+    UndoStack.record("delete vertex");
+    shape.points.splice(active, 1);
+    shape.rebase();
+    NodeEdit.active = -1;
+    renderCanvas();
+    SelectedShapes.ghost(gtx);
+  }
+
+  /**
+   * Draw vertex handles, the chosen one is filled
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static show(gtx) {
+    const shape = NodeEdit.shape;
+    if (!shape) return;
+    if (!drawings.includes(shape)) {
+      // removed by undo or delete
+      NodeEdit.shape = null;
+      return;
+    }
+    const { size } = NodeEdit;
+    gtx.save();
+    gtx.lineWidth = 1;
+    gtx.strokeStyle = "black";
+    NodeEdit.vertices.forEach((v, i) => {
+      gtx.fillStyle = i === NodeEdit.active ? "black" : "white";
+      gtx.fillRect(v.x - size, v.y - size, 2 * size, 2 * size);
+      gtx.strokeRect(v.x - size, v.y - size, 2 * size, 2 * size);
+    });
+    gtx.restore();
+  }
+}
@@ -0,0 +1,161 @@
+// @ts-check
+
+/**
+ * @file PaintFile - the native document format.
+ * A drawing is saved as JSON with the page and all shapes in stacking order.
+ * Loading rebuilds real Shape instances (see shapeFromJSON in Shapes.js)
+ * so they can be selected and transformed as before.
+ * <pre>
+ * {
+ *   format: "jspaint",
+ *   version: 1,
+ *   page: { width, height, background, image },
+ *   layers: { list: [ {id, name, visible, locked, opacity}, ... ], active },
+ *   shapes: [ {type:"Polygon", x, y, c, f, thick, layer, points}, ... ]
+ * }
+ * </pre>
+ */
+
+const DOC_FORMAT = "jspaint";
+const DOC_VERSION = 2; // 2 added layers
+
+/**
+ * Returns the current drawing as a JSON string
+ * @returns {string}
+ */
+function documentToJSON() {
+  const page = {
+    width: canWidth,
+    height: canHeight,
+    background: pageBackground(),
+    image: bkg.canvas.toDataURL(), // bitmap dropped on the background
+  };
+  const doc = {
+    format: DOC_FORMAT,
+    version: DOC_VERSION,
+    page,
+    layers: Layers.snapshot(),
+    shapes: drawings, // uses toJSON of each shape
+  };
+  return JSON.stringify(doc);
+}
+
+/**
+ * Parse and check a saved document.
+ * Throws an Error if the text is not a document we can read
+ * @param {string} text
+ * @returns {{page:Object, layers:Object, shapes:Array.<Shape>}}
+ */
+function documentFromJSON(text) {
+  const doc = JSON.parse(text);
+  if (doc?.format !== DOC_FORMAT) {
+    throw new Error("Not a drawing saved by this program");
+  }
+  if (!(doc.version <= DOC_VERSION)) {
+    throw new Error(`Unknown document version: ${doc.version}`);
+  }
+  const shapes = doc.shapes.map(shapeFromJSON);
+  // version 1 has no layers - all shapes go on one layer
+  const layers = doc.layers ?? { list: [{ id: 1, name: "Layer 1" }], active: 1 };
+  // shapes got the active layer when made - put them on a layer in the file
+  const ids = layers.list.map((l) => l.id);
+  for (const s of shapes) {
+    if (!ids.includes(s.layer)) s.layer = ids[0];
+  }
+  return { page: doc.page, layers, shapes };
+}
+
+/**
+ * Replace the drawing with a loaded document.
+ * This can be undone.
+ * @param {string} text json from a saved document
+ */
+function loadDocument(text) {
+  let doc;
+  try {
+    doc = documentFromJSON(text);
+  } catch (err) {
+    alert(`Could not open file: ${err.message}`);
+    return;
+  }
+  const { page, layers, shapes } = doc;
+  UndoStack.record("open", true);
+  setPageSize(page.width, page.height, page.background);
+  cleanBg();
+  if (page.image) {
+    const img = document.createElement("img");
+    img.onload = () => bkg.drawImage(img, 0, 0);
+    img.src = page.image;
+  }
+  drawings = shapes;
+  Layers.restore(layers);
+  SelectedShapes.empty();
+  SelectedShapes.show(g("shapelist"));
+  renderCanvas();
+  Autosave.unsaved = false; // same as the file
+}
+
+/**
+ * Makes the browser download a blob as a file
+ * @param {Blob} blob
+ * @param {string} name file name
+ */
+function downloadBlob(blob, name) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  // give the browser time to start the download
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Save drawing as a json file
+ * @param {string} name file name, .json is added if no extension
+ */
+function saveDocument(name) {
+  const file = /\.\w+$/.test(name) ? name : name + ".json";
+  const blob = new Blob([documentToJSON()], { type: "application/json" });
+  downloadBlob(blob, file);
+  Autosave.unsaved = false;
+}
+
+/**
+ * Returns true if file is a drawing or svg that openFile can read
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isOpenable(file) {
+  return /\.(json|svg)$/i.test(file.name);
+}
+
+/**
+ * Open a saved drawing (.json) or import shapes from an svg file
+ * @param {File} file
+ */
+function openFile(file) {
+  const isSVG = file.type === "image/svg+xml" || /\.svg$/i.test(file.name);
+  file.text().then(isSVG ? importSVG : loadDocument);
+}
+
+/**
+ * Show form for choosing a saved drawing or svg file
+ */
+function openFromFile() {
+  const np = g("newpage");
+  makeForm(
+    np,
+    "open-file",
+    () => {
+      const loader = g("docloader");
+      loader.addEventListener("change", (event) => {
+        const file = event.target.files[0];
+        np.classList.add("hidden");
+        if (file) {
+          openFile(file);
+        }
+      });
+    },
+    null
+  );
+}
@@ -0,0 +1,230 @@
+// @ts-check
+
+/**
+ * @file Rotate - turn selected shapes around a pivot.
+ * The angle is the turn of the mouse around the pivot,
+ * Shift snaps to 15 degree steps. The pivot is the center of the selection
+ * until it is dragged somewhere else (press r, then drag the pivot).
+ * It moves along with a drag of the selection, any other change
+ * and undo/redo put it back on the center.
+ * While rotating (r) you can type an angle in degrees, Enter applies it.
+ * Shapes have rotate(d) turning d.x/100 radians around their own center,
+ * here we also move each center around the pivot (see orbit).
+ */
+
+/**
+ * Static class for rotation
+ * @namespace Rotate
+ * @property {Point|null}  pivot  - chosen pivot, null for center of selection
+ * @property {Array.<Shape>}  owner  - the selection the pivot was chosen for
+ * @property {string}  typed  - angle typed during rotate
+ * @property {number}  angle  - latest angle in radians, for the readout
+ * @property {boolean}  dragging  - pivot follows the mouse
+ * @property {number}  snap  - step in radians when Shift is down
+ */
+class Rotate {
+  static pivot = null;
+  static owner = [];
+  static typed = "";
+  static angle = 0;
+  static dragging = false;
+  static snap = Math.PI / 12;
+
+  /**
+   * Pivot for the selection
+   * @returns {Point|null}
+   */
+  static center() {
+    const list = SelectedShapes.list;
+    const { owner } = Rotate;
+    const same = owner.length === list.length && owner.every((s) => list.includes(s));
+    if (Rotate.pivot && same) return Rotate.pivot;
+    if (list.length === 0) return null;
+    if (list.length === 1) return { x: list[0].x, y: list[0].y };
+    if (!AT.jarvisHull) {
+      AT.jarvisHull = makeJarvisHullShape();
+    }
+    return { x: AT.jarvisHull.x, y: AT.jarvisHull.y };
+  }
+
+  /**
+   * Use p as pivot for the current selection
+   * @param {Point} p
+   */
+  static setPivot(p) {
+    Rotate.pivot = { x: p.x, y: p.y };
+    Rotate.owner = SelectedShapes.list.slice();
+  }
+
+  /**
+   * Back to the center of the selection - shapes were changed
+   * and the chosen pivot no longer fits them
+   */
+  static forget() {
+    Rotate.pivot = null;
+  }
+
+  /**
+   * The pivot moves along with the selection
+   * @param {Vector} d
+   */
+  static follow(d) {
+    const c = Rotate.center();
+    if (Rotate.pivot && c === Rotate.pivot) {
+      Rotate.setPivot({ x: c.x + d.x, y: c.y + d.y });
+    }
+  }
+
+  /**
+   * Rotation for a mouse drag from start to end - as a diff for shape.rotate.
+   * A typed angle is used instead of the mouse if there is one
+   * @param {Point} start
+   * @param {Point} end
+   * @returns {Vector} x is angle * 100
+   */
+  static diff(start, end) {
+    const c = Rotate.center();
+    let angle = 0;
+    if (Rotate.typed) {
+      angle = ((Number(Rotate.typed) || 0) * Math.PI) / 180;
+    } else if (c && start && end) {
+      angle =
+        Math.atan2(end.y - c.y, end.x - c.x) -
+        Math.atan2(start.y - c.y, start.x - c.x);
+      // shortest way round
+      angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+      if (Keys.has("Shift")) {
+        angle = Math.round(angle / Rotate.snap) * Rotate.snap;
+      }
+    }
+    Rotate.angle = angle;
+    return new Vector({ x: angle * 100, y: 0 });
+  }
+
+  /**
+   * Move center of shape around the pivot - shape.rotate turns it in place
+   * @param {Shape} shape
+   * @param {Vector} diff from Rotate.diff
+   * @param {Point} pivot
+   */
+  static orbit(shape, diff, pivot = Rotate.center()) {
+    const angle = diff.x / 100;
+    const { x, y } = pivot;
+    const p = rotate({ x: shape.x - x, y: shape.y - y }, Math.sin(angle), Math.cos(angle));
+    shape.move(new Vector({ x: x + p.x - shape.x, y: y + p.y - shape.y }));
+  }
+
+  /**
+   * Returns true if p is on the pivot
+   * @param {Point} p
+   * @returns {boolean}
+   */
+  static onPivot(p) {
+    const c = Rotate.center();
+    return c !== null && Math.hypot(p.x - c.x, p.y - c.y) <= 8;
+  }
+
+  /**
+   * Mouse down in rotate - grab the pivot if we are on it
+   * @param {Point} p
+   * @returns {boolean} true if pivot is grabbed
+   */
+  static grab(p) {
+    Rotate.dragging = Rotate.onPivot(p);
+    return Rotate.dragging;
+  }
+
+  /**
+   * Mouse move with the pivot
+   * @param {Point} p
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static drag(p, gtx) {
+    Rotate.setPivot(Snap.point(p));
+    cleanGhost();
+    SelectedShapes.ghost(gtx); // also shows the pivot
+    Snap.show(gtx);
+  }
+
+  /**
+   * Mouse up - pivot is placed, still rotating
+   * @param {Point} p
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static drop(p, gtx) {
+    Rotate.drag(p, gtx);
+    Rotate.dragging = false;
+    Snap.lines = [];
+  }
+
+  /**
+   * Show how the selection will be turned
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static preview(gtx) {
+    cleanGhost();
+    shapeAction(Rotate.diff(AT.start, AT.end), "rotate", gtx);
+    Rotate.show(gtx, true);
+  }
+
+  /**
+   * Draw pivot - and angle if rotating
+   * @param {CanvasRenderingContext2D} gtx ghost
+   * @param {boolean} readout show the angle
+   */
+  static show(gtx, readout) {
+    const c = Rotate.center();
+    if (!c) return;
+    gtx.save();
+    gtx.lineWidth = 1;
+    gtx.strokeStyle = "black";
+    gtx.fillStyle = "white";
+    gtx.beginPath();
+    gtx.arc(c.x, c.y, 6, 0, 2 * Math.PI);
+    gtx.fill();
+    gtx.stroke();
+    gtx.beginPath();
+    gtx.moveTo(c.x - 10, c.y);
+    gtx.lineTo(c.x + 10, c.y);
+    gtx.moveTo(c.x, c.y - 10);
+    gtx.lineTo(c.x, c.y + 10);
+    gtx.stroke();
+    if (readout) {
+      const degrees = (Rotate.angle * 180) / Math.PI;
+      const text = Rotate.typed ? `${Rotate.typed}°_` : `${degrees.toFixed(1)}°`;
+      const at = (AT.start ? AT.end : AT.mouse) ?? c;
+      gtx.font = "14px sans-serif";
+      gtx.fillStyle = "black";
+      gtx.fillText(text, at.x + 14, at.y - 14);
+    }
+    gtx.restore();
+  }
+
+  /**
+   * Typing an angle during rotate. Enter turns the selection.
+   * @param {string} key
+   * @param {Object} init
+   * @param {HTMLElement} init.canCanvas
+   * @param {CanvasRenderingContext2D} init.gtx
+   * @param {HTMLElement} init.divShapelist
+   * @returns {boolean} true if the key was used
+   */
+  static key(key, { canCanvas, gtx, divShapelist }) {
+    if (/^[0-9.]$/.test(key) || (key === "-" && Rotate.typed === "")) {
+      Rotate.typed += key;
+    } else if (key === "Backspace" && Rotate.typed) {
+      Rotate.typed = Rotate.typed.slice(0, -1);
+    } else if (key === "Enter" && Rotate.typed) {
+      completeAction(canCanvas, "rotate");
+      AT.start = null;
+      endKeyAction(divShapelist);
+      cleanGhost();
+      SelectedShapes.ghost(gtx);
+      return true;
+    } else {
+      return false;
+    }
+    Rotate.preview(gtx);
+    return true;
+  }
+}
@@ -101,19 +101,33 @@ class Vector extends Point {
   }
 }
 
+/**
+ * @typedef {Object} Stroke line style of a shape
+ * @property {Array.<number>} dash dash and gap lengths in line widths, [] is solid
+ * @property {CanvasLineCap} cap butt|round|square
+ * @property {CanvasLineJoin} join miter|round|bevel
+ * @property {number} miter miter limit
+ * @property {boolean} stroked false for no outline
+ */
+
 /**
  * A base class for all shapes
  * @extends Point
  */
 class Shape extends Point {
   static idx = 1; // every shape gets an id
+  static hitTransparent = true; // click on transparent fill selects shape
+  static hitTolerance = 3; // pixels outside of line that still hits it
+  // solid line - dash is in line widths, [4, 2] is dash 4*thick, gap 2*thick
+  /** @type {Stroke} */
+  static stroke = { dash: [], cap: "butt", join: "miter", miter: 10, stroked: true };
   /**
    * Construct a Shape given x,y and c=color, f=fill
    * @param {Object} init parameters for the shape
    * @param {number} init.x xpos
    * @param {number} init.y ypos
    * @param {string} init.c color
-   * @param {string} init.f color
+   * @param {string|Paint} init.f color or paint, see Fill.js
    * @param {number} init.thick line width
    */
   constructor({ x, y, c = "red", f = "transparent", thick=1 }) {
@@ -125,6 +139,19 @@ class Shape extends Point {
     this.center = { x, y }; // adjust in subclass
     this.r = 1; // adjust in subclass
     this.points = [];
+    /** @type {number|undefined} radians, set by shapes that can be turned */
+    this.angle = undefined;
+    this.layer = Layers.active; // id of layer, see Layers.js
+    this.opacity = 1; // 0..1
+    this.blend = "source-over"; // globalCompositeOperation like multiply
+    // line style from the toolbar, see Shape.stroke
+    const { dash, cap, join, miter, stroked } = AT.stroke;
+    this.dash = dash;
+    this.cap = cap;
+    this.join = join;
+    this.miter = miter;
+    this.stroked = stroked;
+    this.effects = []; // shadows, glow and blur - see Effects.js
   }
   /**
    * Draw the figure on given canvas
@@ -132,10 +159,22 @@ class Shape extends Point {
    * @param {CanvasRenderingContext2D} ctx canvas to draw on
    */
   render(ctx) {
+    ctx.save();
+    ctx.globalAlpha *= this.opacity; // children of a group multiply
+    if (this.blend !== "source-over") {
+      ctx.globalCompositeOperation = /** @type {GlobalCompositeOperation} */ (this.blend);
+    }
+    ctx.strokeStyle = this.stroked ? this.c : "transparent";
+    ctx.fillStyle = Fill.style(ctx, this);
+    ctx.setLineDash(this.dash.map((d) => d * this.thick));
+    ctx.lineCap = this.cap;
+    ctx.lineJoin = this.join;
+    ctx.miterLimit = this.miter;
+    Effects.render(ctx, this); // shadows go below the shape
+    ctx.filter = Effects.filter(ctx, this);
     ctx.beginPath();
-    ctx.strokeStyle = this.c;
-    ctx.fillStyle = this.f;
     this.drawme(ctx);
+    ctx.restore();
   }
   /**
    * Subclass shape drawing function - must override
@@ -156,7 +195,12 @@ class Shape extends Point {
     console.log("move must be implemented in subclass", this);
   }
 
-  rotate(d) {
+  /**
+   * Turn shape around its center
+   * @param {Vector} d x is angle * 100
+   * @param {string} modify x|y or ""
+   */
+  rotate(d, modify) {
     console.log("rotate must be implemented in subclass", this);
   }
 
@@ -180,10 +224,52 @@ class Shape extends Point {
     return false;
   }
 
+  /**
+   * Returns true if shape overlaps a polygon (like the select rectangle)
+   * @param {Array.<number>} points [x1,y1, x2,y2, ...]
+   * @returns {boolean}
+   */
+  overlaps(points) {
+    return polygonsOverlap(points, this.polygon);
+  }
+
+  /**
+   * Set a style property like c (color) or f (fill)
+   * @param {string} what property name
+   * @param {*} value
+   */
+  setProperty(what, value) {
+    this[what] = value;
+  }
+
+  /**
+   * Draw edit handles on ghost canvas - most shapes have none
+   * @param {CanvasRenderingContext2D} ctx ghost
+   */
+  showHandles(ctx) {}
+
+  /**
+   * A click this close to the outline hits the line
+   * @returns {number} pixels
+   */
+  get hitMargin() {
+    return this.thick / 2 + Shape.hitTolerance;
+  }
+
+  /**
+   * True if only the line can be clicked, not the inside
+   * @returns {boolean}
+   */
+  get hollow() {
+    return !Shape.hitTransparent && isTransparent(this.f);
+  }
+
   get info() {
-    const { x, y, c, f } = this;
-    return `<div>${this.constructor.name} 
-                  <span style="color:${this.c};background:${this.f}">⬜</span>
+    const { opacity, blend } = this;
+    const alpha = opacity < 1 ? ` ${fix(opacity * 100)}%` : "";
+    const mode = blend !== "source-over" ? ` ${blend}` : "";
+    return `<div>${this.type} 
+                  <span style="color:${this.c};background:${Fill.css(this.f)}">⬜</span>${alpha}${mode}
               </div>`;
   }
 
@@ -196,8 +282,34 @@ class Shape extends Point {
     return name === this.type;
   }
 
-  scale(d) {
+  /**
+   * Scale shape around its center
+   * @param {Vector} d x is change in percent
+   * @param {string} modify x|y to scale along one axis, "" for both
+   * @returns {{sx:number, sy:number}} the factors used, shapes have a smallest size
+   */
+  scale(d, modify) {
     console.log("override scale in subclass");
+    return { sx: 1, sy: 1 };
+  }
+
+  /**
+   * Shadows and blur grow with the shape
+   * @param {number} k scale factor
+   */
+  scaleEffects(k) {
+    this.effects = this.effects.map((e) => Effects.scaled(e, k));
+  }
+
+  /**
+   * Scale shape, and its effects by the factor the shape used.
+   * Along one axis the effects grow by the mean of the two factors
+   * @param {Vector} d x is change in percent
+   * @param {string} modify x|y to scale along one axis, "" for both
+   */
+  scaleWithEffects(d, modify) {
+    const { sx, sy } = this.scale(d, modify);
+    this.scaleEffects(Math.sqrt(sx * sy));
   }
 
   get type() {
@@ -207,6 +319,105 @@ class Shape extends Point {
   get polygon() {
     return [this.x, this.y];
   }
+
+  /**
+   * Plain data for this shape - JSON.stringify uses this when saving.
+   * Holds type and the parameters for the constructor
+   * @returns {Object}
+   */
+  toJSON() {
+    const { x, y, c, f, thick, layer, opacity, blend } = this;
+    const { dash, cap, join, miter, stroked, effects } = this;
+    return {
+      type: this.type, x, y, c, f, thick, layer, opacity, blend,
+      dash, cap, join, miter, stroked, effects,
+    };
+  }
+
+  /**
+   * Returns an svg element for this shape - must override
+   * @abstract
+   * @returns {string} like '<circle cx="10" ... />'
+   */
+  toSVG() {
+    console.log("toSVG must be implemented in subclass", this);
+    return "";
+  }
+
+  /**
+   * Svg for this shape with opacity, blend mode and effects.
+   * A g-element is wrapped around it if they are used,
+   * the filter for effects is made by Effects.svgDefs
+   * @returns {string}
+   */
+  toStyledSVG() {
+    const svg = this.toSVG();
+    const opacity = this.opacity < 1 ? ` opacity="${fix(this.opacity)}"` : "";
+    const blend =
+      this.blend !== "source-over" ? ` style="mix-blend-mode:${this.blend}"` : "";
+    const filter = this.effects.length > 0 ? ` filter="url(#${Effects.svgId(this)})"` : "";
+    return opacity || blend || filter ? `<g${opacity}${blend}${filter}>${svg}</g>` : svg;
+  }
+
+  /**
+   * Stroke and fill attributes for svg elements
+   * @returns {string}
+   */
+  get svgStyle() {
+    const { c, thick, dash, cap, join, miter } = this;
+    const stroke = this.stroked ? svgColor(c) : "none";
+    let style = `stroke="${stroke}" fill="${Fill.svg(this)}" stroke-width="${thick}"`;
+    if (dash.length > 0) {
+      style += ` stroke-dasharray="${dash.map((d) => fix(d * thick)).join(" ")}"`;
+    }
+    if (cap !== "butt") style += ` stroke-linecap="${cap}"`;
+    if (join !== "miter") style += ` stroke-linejoin="${join}"`;
+    if (miter !== 10) style += ` stroke-miterlimit="${miter}"`;
+    return style;
+  }
+
+  /**
+   * Transform from own axes (center is origo, turned by angle)
+   * to user space of the svg element - paint fills are laid out in own axes
+   * @returns {string}
+   */
+  get svgFrame() {
+    const angle = ((this.angle ?? 0) * 180) / Math.PI;
+    return `translate(${fix(this.x)} ${fix(this.y)}) rotate(${fix(angle)})`;
+  }
+
+  /**
+   * Create a shape from data made by toJSON
+   * @param {Object} data
+   * @returns {Shape}
+   */
+  static fromJSON(data) {
+    return new this(data);
+  }
+
+  /**
+   * Returns a copy of the state of this shape.
+   * Points are copied so that later transforms don't change the copy.
+   * Used by undo and by the ghost preview in shapeAction
+   * @returns {Object} plain object with all own properties
+   */
+  snapshot() {
+    const state = Object.assign({}, this);
+    state.points = this.points.map(({ x, y }) => ({ x, y }));
+    state.center = { ...this.center };
+    return state;
+  }
+
+  /**
+   * Set this shape back to a state returned by snapshot.
+   * The state is copied again so it can be restored more than once
+   * @param {Object} state
+   */
+  restore(state) {
+    Object.assign(this, state);
+    this.points = state.points.map(({ x, y }) => ({ x, y }));
+    this.center = { ...state.center };
+  }
 }
 
 /**
@@ -221,12 +432,13 @@ class Polygon extends Shape {
    * @param {number} init.y ypos
    * @param {Array.<Point>} init.points
    * @param {string} init.c color
-   * @param {string} init.f color
+   * @param {string|Paint} init.f color or paint
    * @param {number} init.thick line width
    */
   constructor({ x, y, points, c = "red", f = "blue", thick=1 }) {
     super({ x, y, c, f,thick });
     this.points = points;
+    this.angle = 0; // turned so far - shown in the inspector
   }
 
   drawme(ctx) {
@@ -252,8 +464,23 @@ class Polygon extends Shape {
     return "Polygon";
   }
 
+  toJSON() {
+    const points = this.points.map(({ x, y }) => ({ x, y }));
+    return { ...super.toJSON(), points, angle: this.angle };
+  }
+
+  toSVG() {
+    const { x, y } = this;
+    const points = this.points
+      .map((p) => `${fix(x + p.x)},${fix(y + p.y)}`)
+      .join(" ");
+    return `<polygon points="${points}" ${this.svgStyle}/>`;
+  }
+
   contains(p) {
-    return polygonPoint(this.polygon, p);
+    const polygon = this.polygon;
+    if (!this.hollow && polygonPoint(polygon, p)) return true;
+    return polygonDistance(polygon, p) <= this.hitMargin;
   }
 
   rotate(d, modify) {
@@ -261,6 +488,7 @@ class Polygon extends Shape {
     const sin = Math.sin(angle);
     const cos = Math.cos(angle);
     this.points = this.points.map((p) => rotate(p, sin, cos));
+    this.angle = (this.angle + angle) % (2 * Math.PI);
   }
 
   scale(d, modify) {
@@ -280,6 +508,28 @@ class Polygon extends Shape {
     this.x += d.x;
     this.y += d.y;
   }
+
+  /**
+   * Center for points on canvas - the centroid for a polygon
+   * @param {Array.<Point>} realpoints
+   * @returns {Point}
+   */
+  findCenter(realpoints) {
+    return findCentroid(realpoints);
+  }
+
+  /**
+   * Move x,y to the center of the points and make points relative to it.
+   * Needed after single points are changed, so rotate pivots correctly
+   */
+  rebase() {
+    const { x, y } = this;
+    const realpoints = this.points.map((p) => ({ x: x + p.x, y: y + p.y }));
+    const center = this.findCenter(realpoints);
+    this.x = center.x;
+    this.y = center.y;
+    this.points = realpoints.map((p) => ({ x: p.x - center.x, y: p.y - center.y }));
+  }
 }
 
 /**
@@ -296,7 +546,7 @@ class Circle extends Shape {
      * @param {number} init.y ypos
      * @param {number} init.r radius
      * @param {string} init.c color
-     * @param {string} init.f color
+     * @param {string|Paint} init.f color or paint
      * @param {number} init.thick line width
      */
   constructor({ x, y, r, c, f, thick }) {
@@ -325,23 +575,678 @@ class Circle extends Shape {
   }
   get polygon() {
     const { x, y, r } = this;
-    return [x - r, y - r, x + r, y - r, x + r, y + r, x - r, y + r];
+    return points2xyList(ellipsePoints(x, y, r, r));
   }
 
   contains(p) {
-    return polygonPoint(this.polygon, p);
+    const d = new Vector(p).sub(this).length;
+    if (!this.hollow && d <= this.r) return true;
+    return Math.abs(d - this.r) <= this.hitMargin;
+  }
+
+  overlaps(points) {
+    return circlePolygon(this, this.r, points);
   }
   scale(d) {
     const s = Math.max(1 + d.x / 100, 1 / this.r);
     this.r *= s;
+    return { sx: s, sy: s };
   }
   get type() {
     return "Circle";
   }
 
+  toJSON() {
+    return { ...super.toJSON(), r: this.r };
+  }
+
+  toSVG() {
+    const { x, y, r } = this;
+    return `<circle cx="${fix(x)}" cy="${fix(y)}" r="${fix(r)}" ${this.svgStyle}/>`;
+  }
+
+  snapshot() {
+    const state = super.snapshot();
+    state.bb = { ...this.bb };
+    return state;
+  }
+
+  restore(state) {
+    super.restore(state);
+    this.bb = { ...state.bb };
+  }
+
   rotate(d, modify) {}
 }
 
+/**
+ * An ellipse with radii rx,ry turned angle radians around its center
+ * @extends Shape
+ */
+class Ellipse extends Shape {
+  /**
+   * Construct an ellipse given center x,y and radii rx,ry
+   * @param {Object} init parameters for the shape
+   * @param {number} init.x xpos
+   * @param {number} init.y ypos
+   * @param {number} init.rx radius along own x-axis
+   * @param {number} init.ry radius along own y-axis
+   * @param {number} [init.angle] rotation in radians
+   * @param {string} init.c color
+   * @param {string|Paint} init.f color or paint
+   * @param {number} init.thick line width
+   */
+  constructor({ x, y, rx, ry, angle = 0, c, f, thick }) {
+    super({ x, y, c, f, thick });
+    this.rx = rx;
+    this.ry = ry;
+    this.angle = angle;
+  }
+
+  drawme(ctx) {
+    const { x, y, rx, ry, angle } = this;
+    ctx.lineWidth = this.thick;
+    ctx.ellipse(x, y, rx, ry, angle, 0, 2 * Math.PI);
+    ctx.closePath();
+    ctx.stroke();
+    ctx.fill();
+  }
+
+  move(d) {
+    this.x += d.x;
+    this.y += d.y;
+  }
+
+  rotate(d, modify) {
+    this.angle = (this.angle + d.x / 100) % (2 * Math.PI);
+  }
+
+  /**
+   * Scales along the ellipse's own axes,
+   * modify x or y scales only rx or ry
+   */
+  scale(d, modify) {
+    const s = Math.max(1 + d.x / 100, 1 / Math.min(this.rx, this.ry));
+    const sx = modify === "y" ? 1 : s;
+    const sy = modify === "x" ? 1 : s;
+    this.rx *= sx;
+    this.ry *= sy;
+    return { sx, sy };
+  }
+
+  /**
+   * Points on the ellipse, turned by angle
+   * @param {number} n number of points
+   * @returns {Array.<Point>}
+   */
+  outline(n = 32) {
+    const { x, y, rx, ry, angle } = this;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    return ellipsePoints(0, 0, rx, ry, n)
+      .map((p) => rotate(p, sin, cos))
+      .map((p) => ({ x: x + p.x, y: y + p.y }));
+  }
+
+  get polygon() {
+    return points2xyList(this.outline());
+  }
+
+  /**
+   * Turn p into the ellipse's own axes, scaled so the ellipse is a unit circle
+   * @param {Point} p
+   * @returns {Point}
+   */
+  local(p) {
+    const { x, y, rx, ry, angle } = this;
+    const q = rotate({ x: p.x - x, y: p.y - y }, Math.sin(-angle), Math.cos(-angle));
+    return { x: q.x / rx, y: q.y / ry };
+  }
+
+  contains(p) {
+    const q = this.local(p);
+    if (!this.hollow && q.x ** 2 + q.y ** 2 <= 1) return true;
+    return polygonDistance(points2xyList(this.outline(64)), p) <= this.hitMargin;
+  }
+
+  overlaps(points) {
+    // exact - an ellipse is a unit circle in its own scaled axes
+    const local = xyList2Points(points).map((p) => this.local(p));
+    return circlePolygon({ x: 0, y: 0 }, 1, points2xyList(local));
+  }
+
+  get type() {
+    return "Ellipse";
+  }
+
+  toJSON() {
+    const { rx, ry, angle } = this;
+    return { ...super.toJSON(), rx, ry, angle };
+  }
+
+  toSVG() {
+    const { x, y, rx, ry } = this;
+    const angle = (this.angle * 180) / Math.PI;
+    return (
+      `<ellipse cx="${fix(x)}" cy="${fix(y)}" rx="${fix(rx)}" ry="${fix(ry)}" ` +
+      `transform="rotate(${fix(angle)} ${fix(x)} ${fix(y)})" ${this.svgStyle}/>`
+    );
+  }
+
+  // the element is already turned around its center
+  get svgFrame() {
+    return `translate(${fix(this.x)} ${fix(this.y)})`;
+  }
+}
+
+/**
+ * An open line thru points - stroked, not closed or filled.
+ * Each end can have a marker (arrow, dot or bar).
+ * Center is the average of the points (see averagePoint in pure.js)
+ * @extends Polygon
+ */
+class Polyline extends Polygon {
+  /**
+   * Construct a line given x,y and points relative to x,y
+   * @param {Object} init parameters for the shape
+   * @param {number} init.x xpos
+   * @param {number} init.y ypos
+   * @param {Array.<Point>} init.points
+   * @param {string} init.c color
+   * @param {number} init.thick line width
+   * @param {string} [init.startMarker] none|arrow|dot|bar
+   * @param {string} [init.endMarker] none|arrow|dot|bar
+   */
+  constructor({ x, y, points, c = "red", thick = 1, startMarker = "none", endMarker = "none" }) {
+    super({ x, y, points, c, f: "transparent", thick });
+    this.startMarker = startMarker;
+    this.endMarker = endMarker;
+  }
+
+  // a line has no area - use the average point
+  findCenter(realpoints) {
+    return averagePoint(realpoints);
+  }
+
+  drawme(ctx) {
+    ctx.lineWidth = this.thick;
+    const { x, y, points } = this;
+    const { x: a, y: b } = points[0]; // starting point
+    const delta = points2delta(points); // diff between points
+    let z =
+      `M${x + a} ${y + b} ` + delta.map((p) => `l ${p.x} ${p.y}`).join(" ");
+    ctx.stroke(new Path2D(z));
+    const abs = points.map((p) => ({ x: x + p.x, y: y + p.y }));
+    const n = abs.length;
+    this.drawMarker(ctx, this.startMarker, abs[0], abs[1]);
+    this.drawMarker(ctx, this.endMarker, abs[n - 1], abs[n - 2]);
+  }
+
+  /**
+   * Points of an arrow head or bar at tip, pointing away from
+   * @param {Point} tip end of line
+   * @param {Point} from next point on line
+   * @returns {{arrow:Array.<Point>, bar:Array.<Point>, r:number}}
+   */
+  markerShape(tip, from) {
+    const size = Math.max(8, this.thick * 4);
+    const d = new Vector(tip).sub(from);
+    const len = d.length || 1;
+    const u = d.mult(1 / len); // along the line
+    const n = new Vector({ x: -u.y, y: u.x }); // across the line
+    const base = new Vector(tip).sub(u.mult(size));
+    const w = size / 2.5;
+    return {
+      arrow: [tip, base.add(n.mult(w)), base.sub(n.mult(w))],
+      bar: [new Vector(tip).add(n.mult(w)), new Vector(tip).sub(n.mult(w))],
+      r: Math.max(3, this.thick * 1.5),
+    };
+  }
+
+  /**
+   * Draw marker at tip
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {string} kind none|arrow|dot|bar
+   * @param {Point} tip end of line
+   * @param {Point} from next point on line
+   */
+  drawMarker(ctx, kind, tip, from) {
+    if (kind === "none" || !this.stroked) return;
+    const { arrow, bar, r } = this.markerShape(tip, from);
+    ctx.save();
+    ctx.setLineDash([]); // markers are solid
+    ctx.fillStyle = this.c; // marker is part of the line
+    ctx.beginPath();
+    if (kind === "arrow") {
+      ctx.moveTo(arrow[0].x, arrow[0].y);
+      ctx.lineTo(arrow[1].x, arrow[1].y);
+      ctx.lineTo(arrow[2].x, arrow[2].y);
+      ctx.closePath();
+      ctx.fill();
+    } else if (kind === "dot") {
+      ctx.arc(tip.x, tip.y, r, 0, 2 * Math.PI);
+      ctx.fill();
+    } else if (kind === "bar") {
+      ctx.moveTo(bar[0].x, bar[0].y);
+      ctx.lineTo(bar[1].x, bar[1].y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * svg elements for marker at tip
+   * @param {string} kind none|arrow|dot|bar
+   * @param {Point} tip end of line
+   * @param {Point} from next point on line
+   * @returns {string}
+   */
+  svgMarker(kind, tip, from) {
+    if (!this.stroked) return "";
+    const { arrow, bar, r } = this.markerShape(tip, from);
+    const c = svgColor(this.c);
+    const xy = (list) => list.map((p) => `${fix(p.x)},${fix(p.y)}`).join(" ");
+    switch (kind) {
+      case "arrow":
+        return `<polygon points="${xy(arrow)}" fill="${c}" stroke="none"/>`;
+      case "dot":
+        return `<circle cx="${fix(tip.x)}" cy="${fix(tip.y)}" r="${fix(r)}" fill="${c}" stroke="none"/>`;
+      case "bar":
+        return `<polyline points="${xy(bar)}" fill="none" stroke="${c}" stroke-width="${this.thick}"/>`;
+    }
+    return "";
+  }
+
+  get type() {
+    return "Polyline";
+  }
+
+  // only the line itself can be clicked
+  get hollow() {
+    return true;
+  }
+
+  contains(p) {
+    return polygonDistance(this.polygon, p, false) <= this.hitMargin;
+  }
+
+  overlaps(points) {
+    return polylinePolygon(this.polygon, points);
+  }
+
+  toJSON() {
+    const { startMarker, endMarker } = this;
+    return { ...super.toJSON(), startMarker, endMarker };
+  }
+
+  toSVG() {
+    const { x, y } = this;
+    const abs = this.points.map((p) => ({ x: x + p.x, y: y + p.y }));
+    const n = abs.length;
+    const points = abs.map((p) => `${fix(p.x)},${fix(p.y)}`).join(" ");
+    return (
+      `<g><polyline points="${points}" ${this.svgStyle}/>` +
+      this.svgMarker(this.startMarker, abs[0], abs[1]) +
+      this.svgMarker(this.endMarker, abs[n - 1], abs[n - 2]) +
+      "</g>"
+    );
+  }
+}
+
+/**
+ * A curve made of cubic bezier segments.
+ * points holds anchors and control points relative to x,y:
+ * [anchor, control, control, anchor, control, control, anchor ...]
+ * so move/rotate/scale from Polygon transform the control points too.
+ * Selection and hit-testing use a flattened approximation (see flat).
+ * @extends Polygon
+ */
+class Curve extends Polygon {
+  /**
+   * Construct a curve given x,y and bezier points relative to x,y
+   * @param {Object} init parameters for the shape
+   * @param {number} init.x xpos
+   * @param {number} init.y ypos
+   * @param {Array.<Point>} init.points anchors and control points, 3n+1 of them
+   * @param {string} init.c color
+   * @param {string|Paint} init.f color or paint, only used if closed
+   * @param {number} init.thick line width
+   * @param {boolean} init.closed true if last anchor is the first
+   */
+  constructor({ x, y, points, c = "red", f = "transparent", thick = 1, closed = false }) {
+    super({ x, y, points, c, f, thick });
+    this.closed = closed;
+  }
+
+  /**
+   * Anchors and control points on canvas
+   * @returns {Array.<Point>}
+   */
+  get controls() {
+    const { x, y } = this;
+    return this.points.map((p) => ({ x: x + p.x, y: y + p.y }));
+  }
+
+  /**
+   * The curve as straight segments
+   * @returns {Array.<Point>}
+   */
+  get flat() {
+    const abs = this.controls;
+    const flat = [abs[0]];
+    for (let i = 0; i + 3 < abs.length; i += 3) {
+      flat.push(...cubicPoints(abs[i], abs[i + 1], abs[i + 2], abs[i + 3]));
+    }
+    return flat;
+  }
+
+  drawme(ctx) {
+    ctx.lineWidth = this.thick;
+    const [p0, ...rest] = this.controls;
+    let z = `M${p0.x} ${p0.y} `;
+    for (let i = 0; i + 2 < rest.length; i += 3) {
+      const [c1, c2, p] = rest.slice(i, i + 3);
+      z += `C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${p.x} ${p.y} `;
+    }
+    if (this.closed) z += "Z";
+    const p = new Path2D(z);
+    ctx.stroke(p);
+    if (this.closed) ctx.fill(p);
+  }
+
+  /**
+   * Lines from each anchor to its control points
+   * @param {CanvasRenderingContext2D} ctx ghost
+   */
+  showHandles(ctx) {
+    const abs = this.controls;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "gray";
+    ctx.fillStyle = "white";
+    for (let i = 0; i < abs.length; i += 3) {
+      const anchor = abs[i];
+      for (const h of [abs[i - 1], abs[i + 1]]) {
+        if (!h) continue;
+        ctx.beginPath();
+        ctx.moveTo(anchor.x, anchor.y);
+        ctx.lineTo(h.x, h.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(h.x, h.y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.fillRect(anchor.x - 3, anchor.y - 3, 6, 6);
+      ctx.strokeRect(anchor.x - 3, anchor.y - 3, 6, 6);
+    }
+    ctx.restore();
+  }
+
+  get polygon() {
+    return points2xyList(this.flat);
+  }
+
+  get type() {
+    return "Curve";
+  }
+
+  // an open curve is only a line
+  get hollow() {
+    return !this.closed || super.hollow;
+  }
+
+  contains(p) {
+    if (this.closed) return super.contains(p);
+    return polygonDistance(this.polygon, p, false) <= this.hitMargin;
+  }
+
+  overlaps(points) {
+    if (this.closed) return super.overlaps(points);
+    return polylinePolygon(this.polygon, points);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), closed: this.closed };
+  }
+
+  toSVG() {
+    const [p0, ...rest] = this.controls;
+    const xy = (p) => `${fix(p.x)} ${fix(p.y)}`;
+    let d = `M${xy(p0)}`;
+    for (let i = 0; i + 2 < rest.length; i += 3) {
+      d += ` C${rest.slice(i, i + 3).map(xy).join(" ")}`;
+    }
+    if (this.closed) d += " Z";
+    const style = this.closed
+      ? this.svgStyle
+      : this.svgStyle.replace(/fill="[^"]*"/, 'fill="none"');
+    return `<path d="${d}" ${style}/>`;
+  }
+}
+
+/**
+ * Text - one or more lines, x,y is the center of the text box.
+ * Not named Text as that is taken by the DOM text node.
+ * With transparent fill the letters are painted in line color,
+ * else they are filled with fill color and outlined with line color.
+ * @extends Shape
+ */
+class TextShape extends Shape {
+  static measurer = null; // canvas context used to measure text
+  /**
+   * Construct a text given center x,y
+   * @param {Object} init parameters for the shape
+   * @param {number} init.x xpos
+   * @param {number} init.y ypos
+   * @param {string} init.text lines separated by newline
+   * @param {string} init.font font family
+   * @param {number} init.size font size in pixels
+   * @param {string} init.weight normal|bold
+   * @param {string} init.align left|center|right
+   * @param {number} [init.angle] rotation in radians
+   * @param {string} init.c color
+   * @param {string|Paint} init.f color or paint
+   * @param {number} init.thick line width
+   */
+  constructor({
+    x,
+    y,
+    text = "",
+    font = "sans-serif",
+    size = 24,
+    weight = "normal",
+    align = "left",
+    angle = 0,
+    c,
+    f,
+    thick,
+  }) {
+    super({ x, y, c, f, thick });
+    this.text = text;
+    this.font = font;
+    this.size = size;
+    this.weight = weight;
+    this.align = align;
+    this.angle = angle;
+    this.editing = false; // hidden while the editor is open
+  }
+
+  /**
+   * Width of a line of text in given css font
+   * @param {string} font like "bold 24px serif"
+   * @param {string} line
+   * @returns {number}
+   */
+  static measure(font, line) {
+    if (!TextShape.measurer) {
+      TextShape.measurer = document.createElement("canvas").getContext("2d");
+    }
+    TextShape.measurer.font = font;
+    return TextShape.measurer.measureText(line).width;
+  }
+
+  get lines() {
+    return this.text.split("\n");
+  }
+
+  get cssFont() {
+    const { weight, size, font } = this;
+    return `${weight} ${size}px ${font}`;
+  }
+
+  get lineHeight() {
+    return this.size * 1.2;
+  }
+
+  get width() {
+    const font = this.cssFont;
+    return Math.max(...this.lines.map((line) => TextShape.measure(font, line)));
+  }
+
+  get height() {
+    return this.lines.length * this.lineHeight;
+  }
+
+  /**
+   * x for lines relative to center, depends on align
+   * @param {number} w width of text box
+   * @returns {number}
+   */
+  lineX(w) {
+    return { left: -w / 2, center: 0, right: w / 2 }[this.align] ?? -w / 2;
+  }
+
+  drawme(ctx) {
+    if (this.editing) return;
+    const { x, y, angle, lineHeight, lines } = this;
+    const w = this.width;
+    const top = -this.height / 2;
+    const lx = this.lineX(w);
+    const filled = !isTransparent(this.f);
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.font = this.cssFont;
+    ctx.textAlign = this.align;
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = this.thick;
+    // ctx is turned - a paint fill is laid out again in own axes
+    ctx.fillStyle = filled ? Fill.style(ctx, this, true) : this.c;
+    lines.forEach((line, i) => {
+      const ly = top + (i + 0.5) * lineHeight;
+      ctx.fillText(line, lx, ly);
+      if (filled) ctx.strokeText(line, lx, ly);
+    });
+    ctx.restore();
+  }
+
+  move(d) {
+    this.x += d.x;
+    this.y += d.y;
+  }
+
+  rotate(d, modify) {
+    this.angle = (this.angle + d.x / 100) % (2 * Math.PI);
+  }
+
+  /**
+   * Text keeps its proportions - modify x|y is ignored
+   */
+  scale(d, modify) {
+    const s = Math.max(1 + d.x / 100, 1 / this.size);
+    this.size *= s;
+    return { sx: s, sy: s };
+  }
+
+  /**
+   * Canvas position of a point given relative to center in own axes
+   * @param {Point} p
+   * @returns {Point}
+   */
+  toCanvas(p) {
+    const { x, y, angle } = this;
+    const q = rotate(p, Math.sin(angle), Math.cos(angle));
+    return { x: x + q.x, y: y + q.y };
+  }
+
+  /**
+   * Corners of the text box, turned by angle
+   * @returns {Array.<Point>} topleft, topright, bottomright, bottomleft
+   */
+  get corners() {
+    const w = this.width / 2;
+    const h = this.height / 2;
+    return [
+      { x: -w, y: -h },
+      { x: w, y: -h },
+      { x: w, y: h },
+      { x: -w, y: h },
+    ].map((p) => this.toCanvas(p));
+  }
+
+  /**
+   * Change the text, the top left corner stays in place
+   * @param {string} text
+   */
+  setText(text) {
+    const topLeft = this.corners[0];
+    this.text = text;
+    const { x, y } = this.toCanvas({ x: this.width / 2, y: this.height / 2 });
+    const shift = { x: x - this.x, y: y - this.y };
+    this.x = topLeft.x + shift.x;
+    this.y = topLeft.y + shift.y;
+  }
+
+  get polygon() {
+    return points2xyList(this.corners);
+  }
+
+  // the whole text box can be clicked
+  contains(p) {
+    const polygon = this.polygon;
+    return polygonPoint(polygon, p) || polygonDistance(polygon, p) <= this.hitMargin;
+  }
+
+  get type() {
+    return "Text";
+  }
+
+  toJSON() {
+    const { text, font, size, weight, align, angle } = this;
+    return { ...super.toJSON(), text, font, size, weight, align, angle };
+  }
+
+  toSVG() {
+    const { x, y, size, weight, align, lineHeight, lines } = this;
+    const lx = fix(this.lineX(this.width));
+    const top = -this.height / 2;
+    const anchor = { left: "start", center: "middle", right: "end" }[align] ?? "start";
+    const angle = (this.angle * 180) / Math.PI;
+    const filled = !isTransparent(this.f);
+    const style = filled
+      ? this.svgStyle
+      : `fill="${svgColor(this.c)}" stroke="none"`;
+    const spans = lines
+      .map((line, i) => {
+        const ly = fix(top + (i + 0.5) * lineHeight);
+        return `<tspan x="${lx}" y="${ly}">${escapeXML(line)}</tspan>`;
+      })
+      .join("");
+    return (
+      `<text transform="translate(${fix(x)} ${fix(y)}) rotate(${fix(angle)})" ` +
+      `font-family="${escapeXML(this.font)}" font-size="${fix(size)}" ` +
+      `font-weight="${weight}" text-anchor="${anchor}" ` +
+      `dominant-baseline="central" xml:space="preserve" ${style}>${spans}</text>`
+    );
+  }
+
+  // the element is already moved and turned
+  get svgFrame() {
+    return "";
+  }
+}
+
 /*
  * @param {string} init.id id of picture element
  * @param {number} init.sw source width
@@ -365,6 +1270,7 @@ class Picture extends Polygon {
   constructor({ x, y, dw, dh, points }) {
     // images don't c:color-stroke and f:fill
     super({ x, y, points,c: "lightblue", f: "transparent", thick:1 });
+    // a new image gets a new canvas, so snapshots for undo can share it
     this.offscreenCanvas = document.createElement("canvas");
     this.offscreenCanvas.width = dw;
     this.offscreenCanvas.height = dh;
@@ -372,6 +1278,7 @@ class Picture extends Polygon {
     this.height = dh;
     this.sx = 1;
     this.sy = 1;
+    this.angle = this.edgeAngle();
   }
 
   scale(d, modify) {
@@ -380,6 +1287,8 @@ class Picture extends Polygon {
     this.height *= sy;
     this.sx *= sx;
     this.sy *= sy;
+    // scaling along one axis skews the edge of a turned picture
+    this.angle = this.edgeAngle();
     return {sx,sy};
   }
 
@@ -387,7 +1296,61 @@ class Picture extends Polygon {
     return "Picture";
   }
 
-  get angle() {
+  // the image is always clickable
+  get hollow() {
+    return false;
+  }
+
+  toJSON() {
+    const { width, height, sx, sy, offscreenCanvas } = this;
+    const dw = offscreenCanvas.width;
+    const dh = offscreenCanvas.height;
+    const image = offscreenCanvas.toDataURL();
+    return { ...super.toJSON(), dw, dh, width, height, sx, sy, image };
+  }
+
+  /**
+   * Outline and an embedded image placed like in drawme
+   * @returns {string}
+   */
+  toSVG() {
+    const { x, y, sx, sy, points, offscreenCanvas } = this;
+    const p = points[0];
+    const { width, height } = offscreenCanvas;
+    const angle = (this.angle * 180) / Math.PI;
+    const transform =
+      `translate(${fix(x + p.x)} ${fix(y + p.y)}) ` +
+      `scale(${fix(sx)} ${fix(sy)}) rotate(${fix(angle)})`;
+    return (
+      super.toSVG() +
+      `<image xlink:href="${offscreenCanvas.toDataURL()}" ` +
+      `width="${width}" height="${height}" transform="${transform}"/>`
+    );
+  }
+
+  /**
+   * The pixels are loaded async - canvas is redrawn when ready
+   * @param {Object} data
+   * @returns {Picture}
+   */
+  static fromJSON(data) {
+    const { width, height, sx, sy, image } = data;
+    const shape = new Picture(data);
+    Object.assign(shape, { width, height, sx, sy });
+    const img = document.createElement("img");
+    img.onload = function () {
+      shape.offscreenCanvas.getContext("2d").drawImage(img, 0, 0);
+      renderCanvas();
+    };
+    img.src = image;
+    return shape;
+  }
+
+  /**
+   * Angle of the top edge - the image is drawn turned like the edge
+   * @returns {number}
+   */
+  edgeAngle() {
     const [p1,p2] = this.points;
     const dy = p2.y - p1.y;
     const dx = p2.x - p1.x;
@@ -400,10 +1363,210 @@ class Picture extends Polygon {
     const {x,y,sx,sy,points} = this;
     const p = points[0];
     const angle = this.angle;
-    ctx.setTransform(sx, 0, 0, sy, x+p.x,y+p.y);
+    // keep any transform already on ctx (export draws at 2x,4x)
+    ctx.save();
+    ctx.translate(x + p.x, y + p.y);
+    ctx.scale(sx, sy);
     ctx.rotate(angle);
     ctx.drawImage(this.offscreenCanvas,0,0);
-    ctx.setTransform(1,0,0,1,0,0);
+    ctx.restore();
   }
   
 }
+
+/**
+ * Shapes kept together as one - a group can contain groups.
+ * Children are drawn in order, x,y is the center of their bounding box.
+ * Transforms are applied to each child and the child's
+ * position relative to x,y, so the group turns and scales as a whole.
+ * @extends Shape
+ */
+class Group extends Shape {
+  /**
+   * Construct a group of shapes
+   * @param {Object} init parameters for the shape
+   * @param {Array.<Shape>} init.children shapes in drawing order
+   */
+  constructor({ children }) {
+    const { x, y, w, h } = boundingBox(
+      children.reduce((s, child) => s.concat(child.polygon), [])
+    );
+    super({ x: x + w / 2, y: y + h / 2, c: "black", f: "transparent", thick: 1 });
+    this.children = children;
+    this.angle = 0;
+  }
+
+  drawme(ctx) {
+    for (const child of this.children) {
+      child.render(ctx);
+    }
+  }
+
+  /**
+   * Style is set on all children
+   */
+  setProperty(what, value) {
+    for (const child of this.children) {
+      child.setProperty(what, value);
+    }
+  }
+
+  // outline of group on ghost - children are drawn in own colors
+  showHandles(ctx) {
+    const hull = xyList2Points(this.polygon);
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "gray";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    hull.forEach(({ x, y }) => ctx.lineTo(x, y));
+    ctx.closePath();
+    ctx.stroke();
+    ctx.restore();
+    for (const child of this.children) {
+      child.showHandles(ctx);
+    }
+  }
+
+  move(d) {
+    this.x += d.x;
+    this.y += d.y;
+    for (const child of this.children) {
+      child.move(d);
+    }
+  }
+
+  /**
+   * Each child turns around its own center,
+   * and the center turns around center of group
+   */
+  rotate(d, modify) {
+    const angle = (d.x / 100) % (2 * Math.PI);
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    const { x, y } = this;
+    for (const child of this.children) {
+      const p = rotate({ x: child.x - x, y: child.y - y }, sin, cos);
+      child.move(new Vector({ x: x + p.x - child.x, y: y + p.y - child.y }));
+      child.rotate(d, modify);
+    }
+    this.angle = (this.angle + angle) % (2 * Math.PI);
+  }
+
+  /**
+   * Each child is scaled, and the distance from center of group.
+   * Children have a smallest size - the group uses the largest
+   * of these so all of it shrinks by the same factor
+   */
+  scale(d, modify) {
+    // ask each child what factor it would use
+    const factor = (child) => {
+      const state = child.snapshot();
+      const { sx, sy } = child.scale(d, modify);
+      child.restore(state);
+      return modify === "y" ? sy : sx;
+    };
+    const s = this.children.reduce((k, child) => Math.max(k, factor(child)), 1 + d.x / 100);
+    const sx = modify === "y" ? 1 : s;
+    const sy = modify === "x" ? 1 : s;
+    const { x, y } = this;
+    const e = new Vector({ x: (s - 1) * 100, y: 0 });
+    for (const child of this.children) {
+      const dx = (child.x - x) * sx;
+      const dy = (child.y - y) * sy;
+      child.move(new Vector({ x: x + dx - child.x, y: y + dy - child.y }));
+      child.scale(e, modify);
+    }
+    return { sx, sy };
+  }
+
+  scaleEffects(k) {
+    super.scaleEffects(k);
+    for (const child of this.children) {
+      child.scaleEffects(k);
+    }
+  }
+
+  /**
+   * Convex hull around all children
+   */
+  get polygon() {
+    const points = this.children.reduce((s, child) => s.concat(child.polygon), []);
+    return points2xyList(jarvis(xyList2Points(points)));
+  }
+
+  contains(p) {
+    return this.children.some((child) => child.contains(p));
+  }
+
+  overlaps(points) {
+    return this.children.some((child) => child.overlaps(points));
+  }
+
+  get type() {
+    return "Group";
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), children: this.children, angle: this.angle };
+  }
+
+  static fromJSON(data) {
+    const group = new Group({ children: data.children.map(shapeFromJSON) });
+    // keep the pivot as saved
+    group.x = data.x;
+    group.y = data.y;
+    return group;
+  }
+
+  toSVG() {
+    return `<g>${this.children.map((child) => child.toStyledSVG()).join("")}</g>`;
+  }
+
+  /**
+   * Children are snapshot too - they are changed by transforms
+   */
+  snapshot() {
+    const state = super.snapshot();
+    state.children = this.children.map((shape) => ({
+      shape,
+      state: shape.snapshot(),
+    }));
+    return state;
+  }
+
+  restore(state) {
+    super.restore(state);
+    this.children = state.children.map(({ shape, state }) => {
+      shape.restore(state);
+      return shape;
+    });
+  }
+}
+
+/**
+ * All shapes that can be saved and loaded, indexed by type
+ */
+const shapeTypes = { Polygon, Polyline, Curve, Circle, Ellipse, Text: TextShape, Picture, Group };
+
+/**
+ * Create a shape of correct class from data made by toJSON
+ * @param {Object} data
+ * @returns {Shape}
+ */
+function shapeFromJSON(data) {
+  const Type = shapeTypes[data.type];
+  if (!Type) {
+    throw new Error(`Unknown shape type: ${data.type}`);
+  }
+  const shape = Type.fromJSON(data);
+  // kept by all shapes, but not taken by their constructors
+  for (const key of ["layer", "angle", "opacity", "blend", "effects"]) {
+    if (data[key] !== undefined) shape[key] = data[key];
+  }
+  // saved before line styles came - solid line
+  for (const [key, value] of Object.entries(Shape.stroke)) {
+    shape[key] = data[key] ?? value;
+  }
+  return shape;
+}
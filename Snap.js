@@ -0,0 +1,186 @@
+// @ts-check
+
+/**
+ * @file Snap - snap to grid and smart guides.
+ * New points (drawing shapes) and moves are pulled to the grid
+ * and to edges, centers and vertices of other shapes.
+ * A smart guide is shown on the ghost canvas when we snap to a shape.
+ * Hold Alt to place freely.
+ * The grid is a css background on the canvas, so it is not exported.
+ */
+
+/**
+ * @typedef {Object} Targets
+ * @property {Array.<number>} xs x of edges, centers and vertices
+ * @property {Array.<number>} ys y of the same
+ */
+
+/**
+ * Static class for snapping
+ * @namespace Snap
+ * @property {boolean}  grid  - snap to grid
+ * @property {boolean}  visible  - show the grid
+ * @property {number}  size  - grid spacing
+ * @property {boolean}  guides  - snap to other shapes
+ * @property {number}  tolerance  - distance in pixels that snaps to a shape
+ * @property {Targets|null}  targets  - found by begin, used until next begin
+ * @property {Array.<{x:number}|{y:number}>}  lines  - guides to show
+ */
+class Snap {
+  static grid = false;
+  static visible = false;
+  static size = 20;
+  static guides = true;
+  static tolerance = 6;
+  static targets = null;
+  static lines = [];
+
+  /**
+   * True if snapping is turned off for now (Alt is down)
+   * @returns {boolean}
+   */
+  static get off() {
+    return Keys.has("Alt");
+  }
+
+  /**
+   * Find what to snap to - call when mouse goes down.
+   * @param {Array.<Shape>} exclude shapes that are moving
+   */
+  static begin(exclude = []) {
+    const xs = [];
+    const ys = [];
+    for (const shape of drawings) {
+      if (exclude.includes(shape) || !Layers.get(shape.layer).visible) continue;
+      const { x, y, w, h } = boundingBox(shape.polygon);
+      xs.push(x, x + w / 2, x + w);
+      ys.push(y, y + h / 2, y + h);
+      // corners of polygons and lines, curves and circles have none
+      if (shape instanceof Polygon && !(shape instanceof Curve)) {
+        for (const p of xyList2Points(shape.polygon)) {
+          xs.push(p.x);
+          ys.push(p.y);
+        }
+      }
+    }
+    Snap.targets = { xs, ys };
+    Snap.lines = [];
+  }
+
+  /**
+   * Best shift along one axis.
+   * The first value is snapped to the grid, any value can snap to a guide
+   * @param {Array.<number>} values like [left, center, right]
+   * @param {Array.<number>} targets
+   * @returns {{shift:number, guide:number|null}}
+   */
+  static axis(values, targets) {
+    let best = { shift: 0, guide: null };
+    let dist = Snap.tolerance + 1;
+    if (Snap.guides) {
+      for (const v of values) {
+        for (const t of targets) {
+          const d = Math.abs(t - v);
+          if (d < dist) {
+            dist = d;
+            best = { shift: t - v, guide: t };
+          }
+        }
+      }
+    }
+    if (best.guide === null && Snap.grid) {
+      const v = values[0];
+      best = { shift: Math.round(v / Snap.size) * Snap.size - v, guide: null };
+    }
+    return best;
+  }
+
+  /**
+   * Snap a new point
+   * @param {Point} p
+   * @returns {Point}
+   */
+  static point(p) {
+    Snap.lines = [];
+    if (Snap.off || !Snap.targets) return p;
+    const sx = Snap.axis([p.x], Snap.targets.xs);
+    const sy = Snap.axis([p.y], Snap.targets.ys);
+    if (sx.guide !== null) Snap.lines.push({ x: sx.guide });
+    if (sy.guide !== null) Snap.lines.push({ y: sy.guide });
+    return { x: p.x + sx.shift, y: p.y + sy.shift };
+  }
+
+  /**
+   * Adjust a move of shapes so their bounds snap
+   * @param {Vector} d the move
+   * @param {Array.<Shape>} shapes that are moved
+   * @returns {Vector}
+   */
+  static move(d, shapes) {
+    Snap.lines = [];
+    if (Snap.off || !Snap.targets || shapes.length === 0) return d;
+    const polygon = shapes.reduce((s, shape) => s.concat(shape.polygon), []);
+    const { x, y, w, h } = boundingBox(polygon);
+    const left = x + d.x;
+    const top = y + d.y;
+    const sx = Snap.axis([left, left + w / 2, left + w], Snap.targets.xs);
+    const sy = Snap.axis([top, top + h / 2, top + h], Snap.targets.ys);
+    if (sx.guide !== null) Snap.lines.push({ x: sx.guide });
+    if (sy.guide !== null) Snap.lines.push({ y: sy.guide });
+    return new Vector({ x: d.x + sx.shift, y: d.y + sy.shift });
+  }
+
+  /**
+   * Draw smart guides across the page
+   * @param {CanvasRenderingContext2D} gtx ghost
+   */
+  static show(gtx) {
+    if (Snap.lines.length === 0) return;
+    gtx.save();
+    gtx.lineWidth = 1;
+    gtx.strokeStyle = "magenta";
+    gtx.setLineDash([5, 3]);
+    gtx.beginPath();
+    for (const line of Snap.lines) {
+      if ("x" in line) {
+        gtx.moveTo(line.x, 0);
+        gtx.lineTo(line.x, canHeight);
+      } else {
+        gtx.moveTo(0, line.y);
+        gtx.lineTo(canWidth, line.y);
+      }
+    }
+    gtx.stroke();
+    gtx.restore();
+  }
+
+  /**
+   * Show or hide the grid
+   */
+  static showGrid() {
+    const canvas = g("canvas");
+    document.documentElement.style.setProperty("--grid", `${Snap.size}px`);
+    canvas.classList.toggle("grid", Snap.visible);
+  }
+
+  /**
+   * Connect the grid and guide options
+   */
+  static setup() {
+    g("snap-grid").addEventListener("change", (e) => {
+      Snap.grid = e.target.checked;
+    });
+    g("show-grid").addEventListener("change", (e) => {
+      Snap.visible = e.target.checked;
+      Snap.showGrid();
+    });
+    g("grid-size").addEventListener("change", (e) => {
+      Snap.size = Math.max(2, Number(e.target.value) || 20);
+      Snap.showGrid();
+    });
+    g("snap-guides").addEventListener("change", (e) => {
+      Snap.guides = e.target.checked;
+    });
+    Snap.showGrid();
+  }
+}
@@ -0,0 +1,578 @@
+// @ts-check
+
+/**
+ * @file SvgImport - turn the elements of an svg file into shapes.
+ * polygon, rect and closed paths become Polygon, polyline, line and open paths
+ * become Polyline, circle becomes Circle and ellipse becomes Ellipse.
+ * Curves and arcs in paths are flattened to straight segments.
+ * Transforms on elements and groups are applied to the points,
+ * so the shapes end up where the svg shows them and can be
+ * selected and transformed like any other shape.
+ */
+
+/**
+ * A 2d affine transform [a,b,c,d,e,f] - same as svg matrix(a b c d e f)
+ * x' = a*x + c*y + e
+ * y' = b*x + d*y + f
+ * @typedef {Array.<number>} Matrix
+ */
+
+/** @type {Matrix} */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/** elements that never draw anything themselves */
+const SVG_SKIP = ["defs", "clipPath", "mask", "symbol", "marker", "pattern",
+  "linearGradient", "radialGradient", "style", "script", "title", "desc", "metadata"];
+
+/**
+ * Returns the matrix product m*n (apply n first, then m)
+ * @param {Matrix} m
+ * @param {Matrix} n
+ * @returns {Matrix}
+ */
+function multiply(m, n) {
+  const [a, b, c, d, e, f] = m;
+  const [a2, b2, c2, d2, e2, f2] = n;
+  return [
+    a * a2 + c * b2,
+    b * a2 + d * b2,
+    a * c2 + c * d2,
+    b * c2 + d * d2,
+    a * e2 + c * f2 + e,
+    b * e2 + d * f2 + f,
+  ];
+}
+
+/**
+ * Apply transform to a point
+ * @param {Matrix} m
+ * @param {Point} p
+ * @returns {Point}
+ */
+function transformPoint(m, { x, y }) {
+  const [a, b, c, d, e, f] = m;
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+/**
+ * Parse an svg transform attribute like "translate(10 20) rotate(45)"
+ * @param {string|null} text
+ * @returns {Matrix}
+ */
+function parseTransform(text) {
+  let m = IDENTITY;
+  const re = /(\w+)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(text ?? ""))) {
+    const [, name, args] = match;
+    const v = args.trim().split(/[\s,]+/).map(Number);
+    const rad = ((v[0] || 0) * Math.PI) / 180;
+    let t;
+    switch (name) {
+      case "matrix":
+        t = v.slice(0, 6);
+        break;
+      case "translate":
+        t = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        break;
+      case "scale":
+        t = [v[0], 0, 0, v[1] ?? v[0], 0, 0];
+        break;
+      case "rotate": {
+        const [, cx = 0, cy = 0] = v;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        // rotate around (cx,cy)
+        t = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]),
+          [1, 0, 0, 1, -cx, -cy]
+        );
+        break;
+      }
+      case "skewX":
+        t = [1, 0, Math.tan(rad), 1, 0, 0];
+        break;
+      case "skewY":
+        t = [1, Math.tan(rad), 0, 1, 0, 0];
+        break;
+    }
+    if (t && t.every(Number.isFinite)) {
+      m = multiply(m, t);
+    }
+  }
+  return m;
+}
+
+/**
+ * Points along a quadratic bezier, p0 not included
+ * @param {Point} p0 start
+ * @param {Point} p1 control
+ * @param {Point} p2 end
+ * @returns {Array.<Point>}
+ */
+function quadPoints(p0, p1, p2) {
+  // a quadratic curve is a cubic with control points 2/3 along
+  const c1 = { x: p0.x + (2 / 3) * (p1.x - p0.x), y: p0.y + (2 / 3) * (p1.y - p0.y) };
+  const c2 = { x: p2.x + (2 / 3) * (p1.x - p2.x), y: p2.y + (2 / 3) * (p1.y - p2.y) };
+  return cubicPoints(p0, c1, c2, p2);
+}
+
+/**
+ * Points along an svg elliptical arc, start point not included.
+ * Converts from endpoint to center parameterization
+ * as described in the svg spec (appendix F.6)
+ * @param {Point} p1 start
+ * @param {number} rx
+ * @param {number} ry
+ * @param {number} phi x-axis rotation in degrees
+ * @param {boolean} large large-arc-flag
+ * @param {boolean} sweep sweep-flag
+ * @param {Point} p2 end
+ * @returns {Array.<Point>}
+ */
+function arcPoints(p1, rx, ry, phi, large, sweep, p2) {
+  if (p1.x === p2.x && p1.y === p2.y) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return [p2];
+  const cos = Math.cos((phi * Math.PI) / 180);
+  const sin = Math.sin((phi * Math.PI) / 180);
+  const dx = (p1.x - p2.x) / 2;
+  const dy = (p1.y - p2.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  // radii too small - scale up so the arc reaches the end point
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let k = Math.sqrt(Math.max(0, num / den));
+  if (large === sweep) k = -k;
+  const cx1 = (k * rx * y1) / ry;
+  const cy1 = (-k * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (p1.x + p2.x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (p1.y + p2.y) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const ux = (x1 - cx1) / rx;
+  const uy = (y1 - cy1) / ry;
+  const start = angle(1, 0, ux, uy);
+  let delta = angle(ux, uy, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+  const n = Math.max(2, Math.ceil(Math.abs(delta) / (Math.PI / 16)));
+  const points = [];
+  for (let i = 1; i <= n; i++) {
+    const t = start + (delta * i) / n;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push({ x: cx + cos * ex - sin * ey, y: cy + sin * ex + cos * ey });
+  }
+  return points;
+}
+
+/**
+ * Parse svg path data into subpaths of straight segments.
+ * Curves and arcs are flattened. Stops at the first error,
+ * like a browser does - what was read so far is kept and the error is returned.
+ * @param {string} d path data like "M 10 10 L 20 10 Z"
+ * @returns {{subpaths:Array.<{points:Array.<Point>, closed:boolean}>, error:string}}
+ */
+function parsePath(d) {
+  const subpaths = [];
+  let points = [];
+  let pos = 0;
+  let cmd = "";
+  let last = ""; // previous command, S and T need it
+  let x = 0, y = 0; // current point
+  let x0 = 0, y0 = 0; // start of subpath
+  let qx = 0, qy = 0; // last control point
+  const reCmd = /[\s,]*([MmLlHhVvCcSsQqTtAaZz])/y;
+  const reNum = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+  const reFlag = /[\s,]*([01])/y;
+  const reEnd = /[\s,]*$/y;
+  const read = (re) => {
+    re.lastIndex = pos;
+    const m = re.exec(d);
+    if (!m) throw new Error(`Bad path data at ${pos}`);
+    pos = re.lastIndex;
+    return m[1];
+  };
+  const num = () => Number(read(reNum));
+  const flag = () => read(reFlag) === "1";
+  const finish = (closed) => {
+    if (points.length > 1) subpaths.push({ points, closed });
+    points = [];
+  };
+  let error = "";
+  try {
+    while (((reEnd.lastIndex = pos), !reEnd.test(d))) {
+      reCmd.lastIndex = pos;
+      const m = reCmd.exec(d);
+      if (m) {
+        cmd = m[1];
+        pos = reCmd.lastIndex;
+      } else if (cmd === "" || cmd === "Z" || cmd === "z") {
+        throw new Error(`Bad path data at ${pos}`);
+      }
+      // relative commands are offset by current point
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? x : 0;
+      const oy = rel ? y : 0;
+      const P = () => {
+        const px = num();
+        return { x: ox + px, y: oy + num() };
+      };
+      const from = { x, y };
+      const C = cmd.toUpperCase();
+      let to;
+      switch (C) {
+        case "M":
+          finish(false);
+          to = P();
+          x0 = to.x;
+          y0 = to.y;
+          points.push(to);
+          // more coordinate pairs after M are lines
+          cmd = rel ? "l" : "L";
+          break;
+        case "L":
+          to = P();
+          points.push(to);
+          break;
+        case "H":
+          to = { x: ox + num(), y };
+          points.push(to);
+          break;
+        case "V":
+          to = { x, y: oy + num() };
+          points.push(to);
+          break;
+        case "C": {
+          const c1 = P();
+          const c2 = P();
+          to = P();
+          points.push(...cubicPoints(from, c1, c2, to));
+          ({ x: qx, y: qy } = c2);
+          break;
+        }
+        case "S": {
+          // first control point is reflection of previous
+          const c1 = "CS".includes(last) ? { x: 2 * x - qx, y: 2 * y - qy } : from;
+          const c2 = P();
+          to = P();
+          points.push(...cubicPoints(from, c1, c2, to));
+          ({ x: qx, y: qy } = c2);
+          break;
+        }
+        case "Q": {
+          const c = P();
+          to = P();
+          points.push(...quadPoints(from, c, to));
+          ({ x: qx, y: qy } = c);
+          break;
+        }
+        case "T": {
+          const c = "QT".includes(last) ? { x: 2 * x - qx, y: 2 * y - qy } : from;
+          to = P();
+          points.push(...quadPoints(from, c, to));
+          ({ x: qx, y: qy } = c);
+          break;
+        }
+        case "A": {
+          const rx = num();
+          const ry = num();
+          const phi = num();
+          const large = flag();
+          const sweep = flag();
+          to = P();
+          points.push(...arcPoints(from, rx, ry, phi, large, sweep, to));
+          break;
+        }
+        case "Z":
+          finish(true);
+          to = { x: x0, y: y0 };
+          // a new subpath starts where this one started
+          points.push(to);
+          break;
+      }
+      ({ x, y } = to);
+      last = C;
+    }
+  } catch (err) {
+    // like a browser - keep what was read before the error
+    error = err.message;
+  }
+  finish(false);
+  return { subpaths, error };
+}
+
+/**
+ * Parse list of numbers in points attribute
+ * @param {string|null} text like "10,10 20,10 20,20"
+ * @returns {Array.<Point>}
+ */
+function parsePoints(text) {
+  const v = (text ?? "").trim().split(/[\s,]+/).map(Number);
+  return xyList2Points(v.length % 2 ? v.slice(0, -1) : v);
+}
+
+/** scratch context, used to turn any css color into #rrggbb */
+const colorCtx = document.createElement("canvas").getContext("2d");
+
+/**
+ * Convert an svg paint value to a color we can use
+ * @param {string} value like "none","red","#f00","url(#grad)"
+ * @returns {string}
+ */
+function importColor(value) {
+  if (!value || value === "none") return "transparent";
+  if (value.startsWith("url(")) return "gray"; // gradients not supported
+  colorCtx.fillStyle = "#000000"; // stays black if value is not valid
+  colorCtx.fillStyle = value;
+  return String(colorCtx.fillStyle);
+}
+
+/**
+ * Returns style for element - inherits from parent style.
+ * Reads attributes, then style="" which wins.
+ * @param {Element} el
+ * @param {Object} parent inherited style
+ * @returns {Object} {fill, stroke, "stroke-width", display}
+ */
+function elementStyle(el, parent) {
+  const style = { ...parent };
+  for (const key of [
+    "fill", "stroke", "stroke-width", "display",
+    "stroke-dasharray", "stroke-linecap", "stroke-linejoin", "stroke-miterlimit",
+  ]) {
+    const value = el.getAttribute(key);
+    if (value !== null) style[key] = value.trim();
+  }
+  for (const rule of (el.getAttribute("style") ?? "").split(";")) {
+    const [key, value] = rule.split(":").map((e) => e.trim());
+    if (key in style && value) style[key] = value;
+  }
+  return style;
+}
+
+/**
+ * Returns true if m only rotates, moves and scales uniformly
+ * A circle stays a circle
+ * @param {Matrix} m
+ */
+const isSimilarity = ([a, b, c, d]) =>
+  Math.abs(a - d) < 1e-9 && Math.abs(b + c) < 1e-9;
+
+/**
+ * Colors and line width for a shape
+ * Line width is scaled by the transform
+ * @param {Matrix} m
+ * @param {Object} style
+ * @returns {{c:string, f:string, thick:number}}
+ */
+function importPaint(m, style) {
+  const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  const c = importColor(style.stroke);
+  const f = importColor(style.fill);
+  const thick = fix((parseFloat(style["stroke-width"]) || 1) * scale);
+  return { c, f, thick };
+}
+
+/**
+ * Dashes, ends and corners for a shape - dashes in line widths
+ * @param {Object} style
+ * @returns {{dash:Array.<number>, cap:string, join:string, miter:number, stroked:boolean}}
+ */
+function importStroke(style) {
+  const width = parseFloat(style["stroke-width"]) || 1;
+  const dasharray = style["stroke-dasharray"];
+  const dash = dasharray === "none" ? [] : parseDash(dasharray).map((d) => fix(d / width));
+  const cap = ["round", "square"].includes(style["stroke-linecap"]) ? style["stroke-linecap"] : "butt";
+  const join = ["round", "bevel"].includes(style["stroke-linejoin"]) ? style["stroke-linejoin"] : "miter";
+  const miter = parseFloat(style["stroke-miterlimit"]) || 4;
+  return { dash, cap, join, miter, stroked: style.stroke !== "none" };
+}
+
+/**
+ * Make a Polygon from points in svg coordinates,
+ * a Polyline if the shape is open - it has no fill
+ * @param {Array.<Point>} pts
+ * @param {Matrix} m transform to apply
+ * @param {Object} style
+ * @param {boolean} [closed]
+ * @returns {Polygon|undefined}
+ */
+function importPolygon(pts, m, style, closed = true) {
+  if (pts.length < 2) return undefined;
+  const { c, f, thick } = importPaint(m, style);
+  const realpoints = pts.map((p) => transformPoint(m, p));
+  const { x, y } = closed ? findCentroid(realpoints) : averagePoint(realpoints);
+  // points is now delta relative to {x,y}
+  const points = realpoints.map((e) => ({ x: e.x - x, y: e.y - y }));
+  if (!closed) return new Polyline({ x, y, points, c, thick });
+  return new Polygon({ x, y, points, c, f, thick });
+}
+
+/**
+ * Make an Ellipse from an svg ellipse.
+ * Any transform of an ellipse is an ellipse - the new radii and angle
+ * are found by singular value decomposition of the 2x2 part of the matrix
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} rx
+ * @param {number} ry
+ * @param {Matrix} m transform to apply
+ * @param {Object} style
+ * @returns {Ellipse}
+ */
+function importEllipse(cx, cy, rx, ry, m, style) {
+  const { x, y } = transformPoint(m, { x: cx, y: cy });
+  // columns of the matrix scaled by the radii
+  const [p, r, q, s] = [m[0] * rx, m[1] * rx, m[2] * ry, m[3] * ry];
+  const E = (p + s) / 2;
+  const F = (p - s) / 2;
+  const G = (r + q) / 2;
+  const H = (r - q) / 2;
+  const Q = Math.hypot(E, H);
+  const R = Math.hypot(F, G);
+  const angle = (Math.atan2(H, E) + Math.atan2(G, F)) / 2;
+  return new Ellipse({ x, y, rx: Q + R, ry: Math.abs(Q - R), angle, ...importPaint(m, style) });
+}
+
+/**
+ * Make shapes from children of node, adding them to shapes
+ * @param {Element} node
+ * @param {Matrix} parentMatrix transform from parents
+ * @param {Object} parentStyle style inherited from parents
+ * @param {Array.<Shape>} shapes found shapes are pushed here
+ * @param {Array.<string>} skipped why elements were left out or cut short
+ */
+function importChildren(node, parentMatrix, parentStyle, shapes, skipped) {
+  for (const el of Array.from(node.children)) {
+    const tag = el.localName;
+    if (SVG_SKIP.includes(tag)) continue;
+    const style = elementStyle(el, parentStyle);
+    if (style.display === "none") continue;
+    let m = multiply(parentMatrix, parseTransform(el.getAttribute("transform")));
+    const n = (name) => parseFloat(el.getAttribute(name)) || 0;
+    const add = (shape) => shape && shapes.push(Object.assign(shape, importStroke(style)));
+    switch (tag) {
+      case "svg":
+        m = multiply(m, [1, 0, 0, 1, n("x"), n("y")]);
+      // falls through
+      case "g":
+      case "a":
+        importChildren(el, m, style, shapes, skipped);
+        break;
+      case "rect": {
+        const [x, y, w, h] = [n("x"), n("y"), n("width"), n("height")];
+        if (w > 0 && h > 0) {
+          add(importPolygon(xyList2Points([x, y, x + w, y, x + w, y + h, x, y + h]), m, style));
+        }
+        break;
+      }
+      case "line":
+        add(importPolygon(xyList2Points([n("x1"), n("y1"), n("x2"), n("y2")]), m, style, false));
+        break;
+      case "polygon":
+        add(importPolygon(parsePoints(el.getAttribute("points")), m, style));
+        break;
+      case "polyline":
+        add(importPolygon(parsePoints(el.getAttribute("points")), m, style, false));
+        break;
+      case "path": {
+        const { subpaths, error } = parsePath(el.getAttribute("d") ?? "");
+        if (error) {
+          const part = subpaths.length > 0 ? "partly imported" : "not imported";
+          skipped.push(`path ${part}: ${error}`);
+        }
+        for (const { points, closed } of subpaths) {
+          add(importPolygon(points, m, style, closed));
+        }
+        break;
+      }
+      case "circle":
+        if (n("r") <= 0) break;
+        if (isSimilarity(m)) {
+          const { x, y } = transformPoint(m, { x: n("cx"), y: n("cy") });
+          const r = n("r") * Math.hypot(m[0], m[1]);
+          add(new Circle({ x, y, r, ...importPaint(m, style) }));
+        } else {
+          add(importEllipse(n("cx"), n("cy"), n("r"), n("r"), m, style));
+        }
+        break;
+      case "ellipse":
+        if (n("rx") > 0 && n("ry") > 0) {
+          add(importEllipse(n("cx"), n("cy"), n("rx"), n("ry"), m, style));
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Turn an svg document into shapes.
+ * Throws an Error if text is not svg
+ * @param {string} text svg file
+ * @param {Array.<string>} [skipped] why elements were left out or cut short
+ * @returns {Array.<Shape>}
+ */
+function svgToShapes(text, skipped = []) {
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const root = doc.documentElement;
+  if (root.localName !== "svg" || doc.querySelector("parsererror")) {
+    throw new Error("Not a valid svg file");
+  }
+  // map viewBox onto width,height
+  let m = IDENTITY;
+  const viewBox = (root.getAttribute("viewBox") ?? "").trim().split(/[\s,]+/).map(Number);
+  const width = parseFloat(root.getAttribute("width"));
+  const height = parseFloat(root.getAttribute("height"));
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    const [vx, vy, vw, vh] = viewBox;
+    const sx = width > 0 ? width / vw : height > 0 ? height / vh : 1;
+    const sy = height > 0 ? height / vh : sx;
+    const s = Math.min(sx, sy);
+    m = [s, 0, 0, s, -vx * s, -vy * s];
+  }
+  // svg defaults - black fill, no stroke
+  const defaults = {
+    fill: "black", stroke: "none", "stroke-width": "1", display: "inline",
+    "stroke-dasharray": "none", "stroke-linecap": "butt",
+    "stroke-linejoin": "miter", "stroke-miterlimit": "4",
+  };
+  const shapes = [];
+  importChildren(root, m, elementStyle(root, defaults), shapes, skipped);
+  return shapes.filter((s) => s);
+}
+
+/**
+ * Add shapes from an svg file to the drawing.
+ * The new shapes are selected. This can be undone.
+ * @param {string} text svg file
+ */
+function importSVG(text) {
+  let shapes;
+  const skipped = [];
+  try {
+    shapes = svgToShapes(text, skipped);
+  } catch (err) {
+    alert(`Could not import svg: ${err.message}`);
+    return;
+  }
+  if (shapes.length === 0) {
+    alert(["Found no shapes in svg file", ...skipped].join("\n"));
+    return;
+  }
+  UndoStack.record("import");
+  drawings.push(...shapes);
+  SelectedShapes.list = shapes;
+  SelectedShapes.show(g("shapelist"));
+  renderCanvas();
+  if (skipped.length > 0) {
+    alert(`Some elements were not fully imported:\n${skipped.join("\n")}`);
+  }
+}
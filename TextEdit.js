@@ -0,0 +1,138 @@
+// @ts-check
+
+/**
+ * @file TextEdit - type text straight onto the canvas.
+ * A textarea is placed over the canvas where the text will be.
+ * Clicking with the text tool starts a new text, double-click on a
+ * text shape edits it. Leaving the textarea (click elsewhere, Ctrl+Enter)
+ * stores the text, Escape throws the changes away.
+ */
+
+/**
+ * Static class for the inline text editor
+ * @namespace TextEdit
+ * @property {boolean}  active  - editor is open
+ * @property {TextShape|null}  shape  - shape being edited, null for new text
+ * @property {Point|null}  at  - top left corner of new text
+ */
+class TextEdit {
+  static active = false;
+  static shape = null;
+  static at = null;
+
+  /**
+   * Open editor for a new text at p or for an existing text shape
+   * @param {Point} p top left corner of new text
+   * @param {TextShape|null} shape text to edit
+   */
+  static open(p, shape = null) {
+    if (TextEdit.active) TextEdit.close(true);
+    const editor = /** @type {HTMLTextAreaElement} */ (g("text-editor"));
+    const t = shape ?? TextEdit.fromTool(p, "");
+    const { x, y } = shape ? shape.corners[0] : p;
+    const angle = (t.angle * 180) / Math.PI;
+    Object.assign(editor.style, {
+      left: `${x}px`,
+      top: `${y}px`,
+      transform: `rotate(${angle}deg)`,
+      font: t.cssFont,
+      lineHeight: `${t.lineHeight}px`,
+      textAlign: t.align,
+      color: isTransparent(t.f) ? t.c : Fill.color(t.f),
+    });
+    editor.value = shape ? shape.text : "";
+    TextEdit.active = true;
+    TextEdit.shape = shape;
+    TextEdit.at = { x, y };
+    if (shape) {
+      shape.editing = true;
+      renderCanvas();
+    }
+    TextEdit.fit();
+    editor.classList.remove("hidden");
+    editor.focus();
+  }
+
+  /**
+   * New text with font and colors from the active tool
+   * @param {Point} p top left corner
+   * @param {string} text
+   * @returns {TextShape}
+   */
+  static fromTool(p, text) {
+    const shape = new TextShape({
+      x: p.x,
+      y: p.y,
+      text,
+      font: AT.font,
+      size: AT.fontSize,
+      weight: AT.fontWeight,
+      align: AT.textAlign,
+      c: AT.color,
+      f: AT.fill,
+      thick: AT.thick,
+    });
+    // x,y is the center - move box so top left is at p
+    shape.x += shape.width / 2;
+    shape.y += shape.height / 2;
+    return shape;
+  }
+
+  /**
+   * Grow the textarea to hold the text
+   */
+  static fit() {
+    const editor = /** @type {HTMLTextAreaElement} */ (g("text-editor"));
+    const font = editor.style.font;
+    const lines = editor.value.split("\n");
+    const w = Math.max(...lines.map((line) => TextShape.measure(font, line)));
+    editor.style.width = `${Math.ceil(w) + 20}px`;
+    editor.style.height = `${lines.length * parseFloat(editor.style.lineHeight) + 4}px`;
+  }
+
+  /**
+   * Close editor - store the text if keep
+   * An empty text removes the shape
+   * @param {boolean} keep false to throw away changes
+   */
+  static close(keep) {
+    if (!TextEdit.active) return;
+    TextEdit.active = false;
+    const editor = /** @type {HTMLTextAreaElement} */ (g("text-editor"));
+    editor.classList.add("hidden");
+    const { shape, at } = TextEdit;
+    TextEdit.shape = null;
+    const text = editor.value.replace(/\s+$/, "");
+    if (shape) {
+      shape.editing = false;
+      if (keep && text !== shape.text) {
+        UndoStack.record(text ? "edit Text" : "delete");
+        if (text) {
+          shape.setText(text);
+        } else {
+          drawings = drawings.filter((s) => s !== shape);
+          SelectedShapes.list = SelectedShapes.list.filter((s) => s !== shape);
+          SelectedShapes.show(g("shapelist"));
+        }
+      }
+    } else if (keep && text) {
+      const shape = TextEdit.fromTool(at, text);
+      UndoStack.record("add " + shape.type);
+      drawings.push(shape);
+    }
+    renderCanvas();
+  }
+
+  /**
+   * Connect the textarea to the editor
+   */
+  static setup() {
+    const editor = g("text-editor");
+    editor.addEventListener("input", TextEdit.fit);
+    editor.addEventListener("blur", () => TextEdit.close(true));
+    editor.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") TextEdit.close(false);
+      if (e.key === "Enter" && e.ctrlKey) TextEdit.close(true);
+    });
+  }
+}
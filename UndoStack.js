@@ -0,0 +1,142 @@
+// @ts-check
+
+/**
+ * @file UndoStack - undo and redo for every change to drawings.
+ * Before a change we take a snapshot of all shapes and the selection.
+ * Undo puts the shapes back into the state of the latest snapshot.
+ * The shapes themselves are kept (not copied) so the selection
+ * can be restored by reference.
+ */
+
+/**
+ * @typedef {Object} Step
+ * @property {string} label name of the change, "move","delete" ...
+ * @property {Array.<{shape:Shape,state:Object}>} shapes drawings before the change
+ * @property {Array.<Shape>} selected selection before the change
+ * @property {Object|null} page size, background and bitmap of page
+ * @property {Object} layers the layers, see Layers.snapshot
+ */
+
+/**
+ * Static class holding the undo and redo stacks
+ * @namespace UndoStack
+ * @property {Array.<Step>}  done  - steps that can be undone, newest last
+ * @property {Array.<Step>}  undone  - steps that can be redone, newest last
+ * @property {number}  limit  - max number of steps kept
+ * @property {number}  budget  - max number of shape snapshots kept in total
+ */
+class UndoStack {
+  static done = [];
+  static undone = [];
+  static limit = 50;
+  static budget = 200000;
+
+  /**
+   * Take a snapshot of drawings, selection and (optionally) the page
+   * @param {string} label
+   * @param {boolean} withPage true if page size and background changes
+   * @returns {Step}
+   */
+  static capture(label, withPage = false) {
+    const shapes = drawings.map((shape) => ({ shape, state: shape.snapshot() }));
+    const selected = SelectedShapes.list.slice();
+    let page = null;
+    if (withPage) {
+      // copy the background bitmap - it is cleared by a new page
+      const image = document.createElement("canvas");
+      image.width = canWidth;
+      image.height = canHeight;
+      image.getContext("2d").drawImage(bkg.canvas, 0, 0);
+      page = {
+        width: canWidth,
+        height: canHeight,
+        background: pageBackground(),
+        image,
+      };
+    }
+    const layers = Layers.snapshot();
+    return { label, shapes, selected, page, layers };
+  }
+
+  /**
+   * Call this just before changing drawings.
+   * Any redo steps are lost as we now have a new history.
+   * @param {string} label name of the change
+   * @param {boolean} withPage true if page size and background changes
+   */
+  static record(label, withPage = false) {
+    UndoStack.done.push(UndoStack.capture(label, withPage));
+    UndoStack.undone = [];
+    UndoStack._trim();
+    Rotate.forget();
+    Autosave.changed();
+  }
+
+  /**
+   * Drop the oldest steps until we are inside limit and budget
+   */
+  static _trim() {
+    const { done } = UndoStack;
+    let count = done.reduce((s, step) => s + step.shapes.length, 0);
+    while (
+      done.length > 1 &&
+      (done.length > UndoStack.limit || count > UndoStack.budget)
+    ) {
+      count -= done.shift().shapes.length;
+    }
+  }
+
+  /**
+   * Go back one step, the current state is kept for redo
+   * @returns {boolean} true if there was anything to undo
+   */
+  static undo() {
+    const step = UndoStack.done.pop();
+    if (!step) return false;
+    UndoStack.undone.push(UndoStack.capture(step.label, step.page !== null));
+    UndoStack._apply(step);
+    return true;
+  }
+
+  /**
+   * Go forward one step, the current state is kept for undo
+   * @returns {boolean} true if there was anything to redo
+   */
+  static redo() {
+    const step = UndoStack.undone.pop();
+    if (!step) return false;
+    UndoStack.done.push(UndoStack.capture(step.label, step.page !== null));
+    UndoStack._apply(step);
+    return true;
+  }
+
+  /**
+   * Forget all history
+   */
+  static clear() {
+    UndoStack.done = [];
+    UndoStack.undone = [];
+  }
+
+  /**
+   * Put drawings, selection and page back to the state in step
+   * @param {Step} step
+   */
+  static _apply(step) {
+    drawings = step.shapes.map(({ shape, state }) => {
+      shape.restore(state);
+      return shape;
+    });
+    SelectedShapes.list = step.selected.filter((s) => drawings.includes(s));
+    Layers.restore(step.layers);
+    if (step.page) {
+      const { width, height, background, image } = step.page;
+      setPageSize(width, height, background);
+      cleanBg();
+      bkg.drawImage(image, 0, 0);
+    }
+    AT.jarvisHull = null;
+    Rotate.forget();
+    Autosave.changed();
+  }
+}
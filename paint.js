@@ -78,6 +78,35 @@ function setup() {
   });
 
   linesize.addEventListener("click", getLineSize);
+  g("linestyle").addEventListener("change", chooseStroke);
+
+  g("smoothing").addEventListener("input", (e) => {
+    AT.smoothing = Number(e.target.value);
+  });
+  g("tolerance").addEventListener("input", (e) => {
+    AT.tolerance = Number(e.target.value);
+  });
+
+  for (const id of ["start-marker", "end-marker"]) {
+    g(id).addEventListener("change", () => chooseMarkers(ctx));
+  }
+
+  g("font-family").addEventListener("change", (e) => {
+    AT.font = e.target.value;
+  });
+  g("font-size").addEventListener("change", (e) => {
+    AT.fontSize = Number(e.target.value) || 24;
+  });
+  g("font-bold").addEventListener("change", (e) => {
+    AT.fontWeight = e.target.checked ? "bold" : "normal";
+  });
+  g("text-align").addEventListener("change", (e) => {
+    AT.textAlign = e.target.value;
+  });
+
+  g("hit-transparent").addEventListener("change", (e) => {
+    Shape.hitTransparent = e.target.checked;
+  });
 
   divColors.innerHTML = makeSwatch(baseColor);
   swatchAdjust = () => adjustColors(divColors); // bind to divColors
@@ -110,6 +139,27 @@ function setup() {
     AT.mouse = { x, y };
   });
 
+  /* double-click on a text to edit it */
+  canCanvas.addEventListener("dblclick", (e) => {
+    const p = { x: e.clientX - B.x, y: e.clientY - B.y };
+    const shape = shapeAt(p);
+    if (shape?.isa("Text")) {
+      TextEdit.open(p, /** @type {TextShape} */ (shape));
+    } else if (shape && SelectedShapes.list.includes(shape)) {
+      NodeEdit.enter(shape, gtx);
+    }
+  });
+  TextEdit.setup();
+  Layers.setup();
+  Align.setup(ctx, gtx);
+  Snap.setup();
+  Inspector.setup();
+  Fill.setup();
+  Effects.setup();
+
+  /* preview of action - does nothing unless AT.start is set by mousedown */
+  canCanvas.addEventListener("mousemove", (e) => showGhost(e, gtx));
+
   /* so we know where mouse is any time */
   document.addEventListener("mousemove", (e) => {
     mouse.x = e.clientX;
@@ -117,9 +167,13 @@ function setup() {
   });
 
   document.addEventListener("keydown", (e) =>
-    keyAction(e, canCanvas, ctx, divShapelist)
+    keyAction(e, canCanvas, ctx, gtx, divShapelist)
   );
 
+  // keep a copy in the browser - offer to restore last session
+  Autosave.start();
+  Autosave.offerRestore();
+
   /**
    * Handle mouse-down on document
    * @instance test
@@ -128,8 +182,20 @@ function setup() {
   function startAction(e) {
     const x = e.clientX - B.x;
     const y = e.clientY - B.y;
-    AT.start = { x, y };
-    canCanvas.addEventListener("mousemove", (e) => showGhost(e, gtx));
+    if (TextEdit.active) {
+      // this click only ends text editing
+      TextEdit.close(true);
+      return;
+    }
+    if (NodeEdit.shape && NodeEdit.down({ x, y }, gtx)) return;
+    if (AT.tool === "rotate" && Rotate.grab({ x, y })) {
+      Snap.begin(SelectedShapes.list);
+      return;
+    }
+    // moving shapes should not snap to themselves
+    Snap.begin(AT.type === "pointer" ? SelectedShapes.list : []);
+    AT.start = snapPoint({ x, y });
+    AT.down = true;
   }
 }
 
@@ -150,7 +216,12 @@ function fileDrop(event) {
         }
       }
     }
-    console.log(file);
+    if (!file) return;
+    if (isOpenable(file)) {
+      // a saved drawing or svg - not a bitmap for the background
+      openFile(file);
+      return;
+    }
     const output = document.createElement("img");
     output.src = URL.createObjectURL(file);
     output.onload = function () {
@@ -159,6 +159,7 @@ const makeSwatch = (start) => {
 
 /**
  * Returns true if two polygons overlap (both assumed convecs)
+ * Use polygonsOverlap for polygons that may be concave
  * @param {Array.<number>} points1 [x1,y1,x2,y2,...]
  * @param {Array.<number>} points2 [x1,y1,x2,y2,...]
  * @returns {boolean} true if they overlap
@@ -204,6 +205,166 @@ function polygonPolygon(points1, points2) {
   return true;
 }
 
+/**
+ * Bounding box of polygon
+ * @param {Array.<number>} points [x1,y1, x2,y2, ...]
+ * @returns {{x:number,y:number,w:number,h:number}}
+ */
+function boundingBox(points) {
+  let minx = Infinity, miny = Infinity;
+  let maxx = -Infinity, maxy = -Infinity;
+  for (let i = 0; i < points.length; i += 2) {
+    minx = Math.min(minx, points[i]);
+    maxx = Math.max(maxx, points[i]);
+    miny = Math.min(miny, points[i + 1]);
+    maxy = Math.max(maxy, points[i + 1]);
+  }
+  return { x: minx, y: miny, w: maxx - minx, h: maxy - miny };
+}
+
+/**
+ * Returns true if segment p1-q1 crosses or touches segment p2-q2
+ * @param {Point} p1
+ * @param {Point} q1
+ * @param {Point} p2
+ * @param {Point} q2
+ * @returns {boolean}
+ */
+function segmentsIntersect(p1, q1, p2, q2) {
+  // r is on segment p-q, given that the three are colinear
+  const onSegment = (p, r, q) =>
+    r.x <= Math.max(p.x, q.x) && r.x >= Math.min(p.x, q.x) &&
+    r.y <= Math.max(p.y, q.y) && r.y >= Math.min(p.y, q.y);
+  const o1 = orient(p1, q1, p2);
+  const o2 = orient(p1, q1, q2);
+  const o3 = orient(p2, q2, p1);
+  const o4 = orient(p2, q2, q1);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (
+    (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, q2, q1)) ||
+    (o3 === 0 && onSegment(p2, p1, q2)) ||
+    (o4 === 0 && onSegment(p2, q1, q2))
+  );
+}
+
+/**
+ * Returns true if two polygons overlap - works for concave polygons.
+ * They overlap if any edges cross, or if one is inside the other
+ * (then a vertex of one is inside the other).
+ * @param {Array.<number>} points1 [x1,y1,x2,y2,...]
+ * @param {Array.<number>} points2 [x1,y1,x2,y2,...]
+ * @returns {boolean} true if they overlap
+ */
+function polygonsOverlap(points1, points2) {
+  const a = boundingBox(points1);
+  const b = boundingBox(points2);
+  if (a.x > b.x + b.w || b.x > a.x + a.w || a.y > b.y + b.h || b.y > a.y + a.h) {
+    return false; // quick test - bounding boxes are apart
+  }
+  const A = xyList2Points(points1);
+  const B = xyList2Points(points2);
+  for (let i = 0, j = A.length - 1; i < A.length; j = i++) {
+    for (let k = 0, l = B.length - 1; k < B.length; l = k++) {
+      if (segmentsIntersect(A[j], A[i], B[l], B[k])) return true;
+    }
+  }
+  return polygonPoint(points2, A[0]) || polygonPoint(points1, B[0]);
+}
+
+/**
+ * Returns true if an open line overlaps a polygon
+ * @param {Array.<number>} line [x1,y1,x2,y2,...] not closed
+ * @param {Array.<number>} points polygon [x1,y1,x2,y2,...]
+ * @returns {boolean}
+ */
+function polylinePolygon(line, points) {
+  const A = xyList2Points(line);
+  const B = xyList2Points(points);
+  for (let i = 1; i < A.length; i++) {
+    for (let k = 0, l = B.length - 1; k < B.length; l = k++) {
+      if (segmentsIntersect(A[i - 1], A[i], B[l], B[k])) return true;
+    }
+  }
+  // no crossing - either all inside or all outside
+  return polygonPoint(points, A[0]);
+}
+
+/**
+ * Average of points - center of an open line
+ * (findCentroid needs an area)
+ * @param {Array.<Point>} points
+ * @returns {Point}
+ */
+function averagePoint(points) {
+  const n = points.length;
+  const x = points.reduce((s, p) => s + p.x, 0) / n;
+  const y = points.reduce((s, p) => s + p.y, 0) / n;
+  return { x, y };
+}
+
+/**
+ * Removes points that are not needed to keep the shape of a path.
+ * Ramer-Douglas-Peucker: keep the point furthest from the line
+ * first-last if it is further than tolerance, repeat for both halves.
+ * @param {Array.<Point>} points
+ * @param {number} tolerance max distance (pixels) from removed points to result
+ * @returns {Array.<Point>}
+ */
+function simplifyPath(points, tolerance) {
+  const n = points.length;
+  if (n < 3 || tolerance <= 0) return points.slice();
+  const keep = new Array(n).fill(false);
+  keep[0] = keep[n - 1] = true;
+  const stack = [[0, n - 1]];
+  while (stack.length > 0) {
+    const [a, b] = stack.pop();
+    let max = 0;
+    let index = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = segmentDistance(points[i], points[a], points[b]);
+      if (d > max) {
+        max = d;
+        index = i;
+      }
+    }
+    if (max > tolerance) {
+      keep[index] = true;
+      stack.push([a, index], [index, b]);
+    }
+  }
+  return points.filter((p, i) => keep[i]);
+}
+
+/**
+ * Rounds corners of a path by Chaikin corner cutting.
+ * Each pass replaces every edge p-q by two points 1/4 and 3/4 along it.
+ * An open path keeps its end points.
+ * @param {Array.<Point>} points
+ * @param {number} iterations number of passes, 0 means no smoothing
+ * @param {boolean} closed true if last point connects to first
+ * @returns {Array.<Point>}
+ */
+function smoothPath(points, iterations, closed = false) {
+  let pts = points;
+  for (let k = 0; k < iterations && pts.length > 2; k++) {
+    const n = pts.length;
+    const next = closed ? [] : [pts[0]];
+    const edges = closed ? n : n - 1;
+    for (let i = 0; i < edges; i++) {
+      const p = pts[i];
+      const q = pts[(i + 1) % n];
+      next.push(
+        { x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y },
+        { x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y }
+      );
+    }
+    if (!closed) next.push(pts[n - 1]);
+    pts = next;
+  }
+  return pts;
+}
+
 /**
  * Finds center of polygon
  * @param {Array.<Point>} pts points of polygon [p1,p2, ... ]
@@ -307,6 +468,72 @@ function polygonPoint(points, { x, y }) {
   return c;
 }
 
+/**
+ * Distance from point p to the line segment a-b
+ * @param {Point} p
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  // t is how far along a-b the closest point is, 0..1
+  const t =
+    len2 === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Distance from point p to the nearest edge of polygon
+ * @param {Array.<number>} points [x1,y1, x2,y2, ...]
+ * @param {Point} p
+ * @param {boolean} closed false for an open line (no edge from last to first)
+ * @returns {number}
+ */
+function polygonDistance(points, p, closed = true) {
+  const length = points.length;
+  let min = Infinity;
+  const start = closed ? 0 : 2;
+  for (let i = start, j = closed ? length - 2 : 0; i < length; i += 2) {
+    const a = { x: points[j], y: points[j + 1] };
+    const b = { x: points[i], y: points[i + 1] };
+    min = Math.min(min, segmentDistance(p, a, b));
+    j = i;
+  }
+  return min;
+}
+
+/**
+ * Returns true if circle and polygon overlap
+ * @param {Point} c center of circle
+ * @param {number} r radius
+ * @param {Array.<number>} points polygon [x1,y1, x2,y2, ...]
+ * @returns {boolean}
+ */
+function circlePolygon(c, r, points) {
+  return polygonPoint(points, c) || polygonDistance(points, c) <= r;
+}
+
+/**
+ * Returns true if color is fully transparent - a paint fill (see Fill.js) is not
+ * @param {string|Paint} color css color like "transparent", "rgba(0,0,0,0)", "#ff000000"
+ * @returns {boolean}
+ */
+function isTransparent(color) {
+  if (typeof color !== "string") return false; // gradient or pattern
+  const c = color.replace(/\s/g, "").toLowerCase();
+  return (
+    c === "transparent" ||
+    c === "none" ||
+    /^rgba\(.*,0(\.0*)?\)$/.test(c) ||
+    /^#[0-9a-f]{6}00$/.test(c)
+  );
+}
+
 /**
  * Rotates point p angle rads around origo
  * @param {number} sin Math.sin(angle)
@@ -323,6 +550,50 @@ function rotate(p, sin, cos) {
 }
 
 
+/**
+ * Points along a cubic bezier, p0 not included
+ * @param {Point} p0 start
+ * @param {Point} p1 control
+ * @param {Point} p2 control
+ * @param {Point} p3 end
+ * @param {number} steps number of line segments
+ * @returns {Array.<Point>}
+ */
+function cubicPoints(p0, p1, p2, p3, steps = 16) {
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    const a = u * u * u;
+    const b = 3 * u * u * t;
+    const c = 3 * u * t * t;
+    const d = t * t * t;
+    points.push({
+      x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+      y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+    });
+  }
+  return points;
+}
+
+/**
+ * Points around an ellipse
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} rx
+ * @param {number} ry
+ * @param {number} n number of points
+ * @returns {Array.<Point>}
+ */
+function ellipsePoints(cx, cy, rx, ry, n = 32) {
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    const t = (2 * Math.PI * i) / n;
+    points.push({ x: cx + rx * Math.cos(t), y: cy + ry * Math.sin(t) });
+  }
+  return points;
+}
+
 /**
  * Draws a rounded rect
  * @param {number} x
@@ -344,17 +615,99 @@ function _roundRect(x, y, width, height, radius) {
   return this;
 }
 
+/** scratch context for color2rgba, made on first use */
+let parseCtx = null;
+
+/**
+ * Parse a css color into red, green, blue and alpha.
+ * Handles #rgb #rgba #rrggbb #rrggbbaa rgb() rgba() and transparent,
+ * other names are looked up by letting a canvas parse them
+ * @param {string} color
+ * @returns {{r:number,g:number,b:number,a:number}}
+ */
+function color2rgba(color) {
+  const c = color.trim().toLowerCase();
+  if (c === "transparent" || c === "none") return { r: 0, g: 0, b: 0, a: 0 };
+  const hex = /^#([0-9a-f]{3,8})$/.exec(c);
+  if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+    let h = hex[1];
+    if (h.length < 6) h = [...h].map((d) => d + d).join("");
+    const { r, g, b } = hex2rgb(h);
+    const a = h.length === 8 ? parseInt(h.slice(6), 16) / 255 : 1;
+    return { r, g, b, a };
+  }
+  const rgb = /^rgba?\((.*)\)$/.exec(c);
+  if (rgb) {
+    // rgb(1,2,3) rgba(1,2,3,0.5) or rgb(1 2 3 / 50%)
+    const [r, g, b, alpha = "1"] = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    const a = alpha.endsWith("%") ? parseFloat(alpha) / 100 : Number(alpha);
+    return { r: Number(r), g: Number(g), b: Number(b), a };
+  }
+  if (typeof document === "undefined" || c.startsWith("#")) {
+    return { r: 128, g: 128, b: 128, a: 1 };
+  }
+  // named color - canvas gives it back as #rrggbb
+  parseCtx ??= document.createElement("canvas").getContext("2d");
+  parseCtx.fillStyle = "#808080";
+  parseCtx.fillStyle = c;
+  const parsed = String(parseCtx.fillStyle);
+  return parsed !== c && (parsed.startsWith("#") || parsed.startsWith("rgb"))
+    ? color2rgba(parsed)
+    : { r: 128, g: 128, b: 128, a: 1 };
+}
+
+/**
+ * Contrast color for any css color - opposite hue, half as opaque.
+ * Transparent stays transparent
+ * @param {string} color like "#ff0000", "rgba(255,0,0,0.5)" or "red"
+ * @returns {string}
+ */
+function contrast(color) {
+  const { r: red, g: green, b: blue, a } = color2rgba(color);
+  if (a === 0) return "transparent";
+  const contrast = rgb2hsv({ r: red, g: green, b: blue });
+  contrast.h = (contrast.h + 180) % 360;
+  const { r, g, b } = hsv2rgb(contrast);
+  return `rgba(${r},${g},${b},${fix(a / 2)})`; // fill color contrast
+}
+
 /**
- * Converts hex "string" to rgba contrast color, 0.5 alpha
- * @param {string} rgbHex like "ff0000" for blue
+ * Dash pattern from text like "4 2" or "4,2,1,2".
+ * Negative and non-numbers are dropped, all zero is a solid line
+ * @param {string} text
+ * @returns {Array.<number>}
  */
-function contrast(rgbHex) {
-    const contrast = rgb2hsv(hex2rgb(rgbHex));
-    contrast.h = (contrast.h + 180) % 360;
-    const { r, g, b } = hsv2rgb(contrast);
-    return `rgba(${r},${g},${b},0.5)`; // fill color contrast
+function parseDash(text) {
+  const dash = text
+    .split(/[\s,]+/)
+    .map(Number)
+    .filter((n) => n >= 0);
+  return dash.some((n) => n > 0) ? dash : [];
 }
 
+/**
+ * Round to 2 decimals - keeps svg files small
+ * @param {number} n
+ * @returns {number}
+ */
+const fix = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Converts css color to something svg understands
+ * svg 1.1 has no "transparent" - use "none"
+ * @param {string} color css color
+ * @returns {string}
+ */
+const svgColor = (color) => (color === "transparent" ? "none" : color);
+
+/**
+ * Escape text for use inside svg/xml
+ * @param {string} s
+ * @returns {string}
+ */
+const escapeXML = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
 // extend 2d context with this function
 // @ts-ignore
 CanvasRenderingContext2D.prototype.roundRect = _roundRect;